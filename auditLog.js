@@ -0,0 +1,155 @@
+const { getStorage } = require("./storage.js");
+const { AppError } = require("./errors.js");
+const { logger } = require("./logger.js");
+
+const storage = getStorage();
+const AuditLogRef = storage.collection("AuditLog");
+
+// Types of recorded account events
+const AUDIT_EVENTS = {
+  REGISTER: "register",
+  PROVIDER_LINKED: "providerLinked",
+  STORE_ACCESS_TOKEN: "storeAccessToken",
+  UPDATE_FIELD: "updateField",
+  UPDATE_PHONE: "updatePhone",
+  DELETE: "delete",
+  HASH_CREATED: "hashCreated",
+  HASH_CONSUMED: "hashConsumed",
+  ORGANIZATION_LINKED: "organizationLinked",
+  ORGANIZATION_UNLINKED: "organizationUnlinked",
+  SESSION_REVOKED: "sessionRevoked",
+  RISK_EVALUATED: "riskEvaluated",
+  DEVICE_TRUSTED: "deviceTrusted",
+  TRUSTED_DEVICE_REVOKED: "trustedDeviceRevoked"
+};
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// ----------------------------------------------Helpers----------------------------------------------------- //
+
+function encodeCursor(doc) {
+  return Buffer.from(JSON.stringify([doc.get("timestamp"), doc.id])).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [timestamp, id] = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (typeof timestamp !== "number" || typeof id !== "string") {
+      throw new Error("Malformed cursor");
+    }
+    return [timestamp, id];
+  } catch (error) {
+    throw AppError("INVALID_CURSOR");
+  }
+}
+
+function toEvent(doc) {
+  const data = doc.data();
+  return { id: doc.id, ...data, createdAt: new Date(data.timestamp).toISOString() };
+}
+
+/**
+ * @returns {Promise<Object>}
+ Runs a query newest first, one page at a time. The cursor is opaque to callers.
+*/
+async function page(query, { limit = DEFAULT_PAGE_SIZE, cursor } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  let ordered = query.orderBy("timestamp", "desc").orderBy("__name__", "desc");
+  if (cursor) {
+    ordered = ordered.startAfter(...decodeCursor(cursor));
+  }
+
+  // one extra document tells whether there is a next page
+  const snapshot = await ordered.limit(pageSize + 1).get();
+  const docs = snapshot.docs.slice(0, pageSize);
+  return {
+    events: docs.map(toEvent),
+    nextCursor: snapshot.docs.length > pageSize ? encodeCursor(docs[docs.length - 1]) : null
+  };
+}
+
+// ----------------------------------------------Create----------------------------------------------------- //
+
+/**
+ * @returns {Promise}
+ Appends an event to the audit log. Events are never updated or deleted. Failing to record an event is logged but
+ does not fail the operation being audited.
+ * @param {Object} event - { type, userId, actor: { type, id }, ip, userAgent, outcome: "success"|"failure", fields, reason }
+*/
+async function recordEvent({ type, userId, actor, ip, userAgent, outcome, fields, reason }) {
+  try {
+    await AuditLogRef.add({
+      type: type,
+      userId: userId || null,
+      actor: actor || { type: "user", id: userId || null },
+      ip: ip || null,
+      userAgent: userAgent || null,
+      outcome: outcome || "success",
+      fields: fields || [],
+      reason: reason || null,
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    logger.error("Audit event could not be recorded", { type: type, userId: userId, error: error });
+  }
+}
+
+module.exports.create = {
+  recordEvent
+};
+
+// ----------------------------------------------Read----------------------------------------------------- //
+
+/**
+ * @returns {Promise<Object>}
+ A page of the user's own events, newest first: { events, nextCursor }.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {Object} options - { limit, cursor }
+*/
+async function listUserEvents(userId, options) {
+  return page(AuditLogRef.where("userId", "==", userId), options);
+}
+
+/**
+ * @returns {Promise<Object>}
+ A page of events across users for administrators, newest first: { events, nextCursor }.
+ * @param {Object} filters - { type, userId, from, to } where from/to are dates or millisecond timestamps.
+ * @param {Object} options - { limit, cursor }
+*/
+async function queryEvents({ type, userId, from, to } = {}, options) {
+  let query = AuditLogRef;
+  if (type) {
+    query = query.where("type", "==", type);
+  }
+  if (userId) {
+    query = query.where("userId", "==", userId);
+  }
+  if (from) {
+    query = query.where("timestamp", ">=", new Date(from).getTime());
+  }
+  if (to) {
+    query = query.where("timestamp", "<=", new Date(to).getTime());
+  }
+  return page(query, options);
+}
+
+/**
+ * @returns {Promise<Number>}
+ The number of failed events recorded for the user since a point in time, e.g. rejected successJWTs.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {Number} since - Milliseconds since the epoch.
+*/
+async function countRecentFailures(userId, since) {
+  const snapshot = await AuditLogRef.where("userId", "==", userId).where("timestamp", ">=", since).get();
+  return snapshot.docs.filter((doc) => doc.get("outcome") === "failure").length;
+}
+
+module.exports.read = {
+  listUserEvents,
+  queryEvents,
+  countRecentFailures
+};
+
+module.exports.AUDIT_EVENTS = AUDIT_EVENTS;
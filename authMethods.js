@@ -0,0 +1,128 @@
+const UsersDb = require("./user.js");
+const DevicesDb = require("./device.js");
+const OrganizationDb = require("./organization.js");
+
+/*
+Declarative rules deciding which second factors a user may use. Each method lists its requirements:
+  userFields        - fields of the user's auth factors (UsersDb.read.GetAuthFactorsFromUID) that must be truthy
+  minMobileDevices  - minimum number of registered mobile devices
+  minDesktopDevices - minimum number of registered desktop devices
+  methods           - other methods that must also be available (evaluated in declaration order)
+A method is available when every requirement it lists is met.
+*/
+const AUTH_METHOD_RULES = {
+  SMS: { userFields: ["phoneVerified"] },
+  QR: { minMobileDevices: 1 },
+  SSID: { minMobileDevices: 1, minDesktopDevices: 1 },
+  Geolocation: { minMobileDevices: 1, minDesktopDevices: 1 },
+  Smart: { methods: ["SSID"] },
+  TOTP: { userFields: ["totpEnabled"] },
+  WebAuthn: { userFields: ["webauthnEnabled"] }
+};
+
+/**
+ * @returns {Object}
+ Merges an organization's overrides into the default rules. An override of `false` disables the method for
+ that organization, an object replaces the listed requirements and keeps the others.
+ * @param {Object} overrides - Map of method name to `false` or a partial rule, e.g. { Geolocation: { minDesktopDevices: 0 } }
+*/
+function resolveRules(overrides = {}) {
+  const rules = {};
+  for (const method of Object.keys(AUTH_METHOD_RULES)) {
+    const override = overrides[method];
+    if (override === false) {
+      rules[method] = false;
+    } else {
+      rules[method] = { ...AUTH_METHOD_RULES[method], ...(override || {}) };
+    }
+  }
+  return rules;
+}
+
+/**
+ * @returns {Boolean}
+ Checks a single rule against the user's factors, device counts and the methods already found available.
+*/
+function meetsRule(rule, context, availableMethods) {
+  if (!rule) {
+    return false;
+  }
+
+  const { factors, mobileDeviceCount, desktopDeviceCount } = context;
+  const userFields = rule.userFields || [];
+  const methods = rule.methods || [];
+
+  return (
+    userFields.every((field) => Boolean(factors[field])) &&
+    mobileDeviceCount >= (rule.minMobileDevices || 0) &&
+    desktopDeviceCount >= (rule.minDesktopDevices || 0) &&
+    methods.every((method) => availableMethods[method] === true)
+  );
+}
+
+/**
+ * @returns {Object}
+ Computes the available methods as a map of method name to boolean. Pure; does not read the database.
+ * @param {Object} context - { factors, mobileDeviceCount, desktopDeviceCount }
+ * @param {Object} overrides - Per-organization rule overrides, see resolveRules.
+*/
+function computeAvailableAuthMethods(context, overrides) {
+  const rules = resolveRules(overrides);
+  const availableMethods = {};
+  for (const method of Object.keys(rules)) {
+    availableMethods[method] = meetsRule(rules[method], context, availableMethods);
+  }
+  return availableMethods;
+}
+
+/**
+ * @returns {Object}
+ Gathers the user's auth factors and device inventory used by the rules.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+*/
+async function getAuthMethodContext(userId) {
+  const factors = await UsersDb.read.GetAuthFactorsFromUID(userId);
+
+  //find number of mobile and desktop devices
+  const totalDeviceCount = (await DevicesDb.read.getAllDevices(userId)).length;
+  const mobileDeviceCount = (await DevicesDb.read.getAllMobileDevices(userId)).length;
+  const desktopDeviceCount = totalDeviceCount - mobileDeviceCount;
+
+  return { factors, mobileDeviceCount, desktopDeviceCount };
+}
+
+/**
+ * @returns {Promise<Object>}
+ Returns the second factors a user may use, applying the organization's overrides when an organizationId is given.
+ Throws a 401 error if the user cannot be found.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} organizationId - Optional organization whose `authMethodRules` apply.
+*/
+async function getAvailableAuthMethods(userId, organizationId) {
+  const context = await getAuthMethodContext(userId);
+
+  let overrides = {};
+  if (organizationId) {
+    const organizationInfo = await OrganizationDb.read.getOrganizationInfo(organizationId);
+    overrides = (organizationInfo && organizationInfo.authMethodRules) || {};
+  }
+
+  return computeAvailableAuthMethods(context, overrides);
+}
+
+/**
+ * @returns {Promise<Boolean>}
+ True if the user can complete at least one second factor.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+*/
+async function hasAnyAuthMethod(userId) {
+  const availableMethods = await getAvailableAuthMethods(userId);
+  return Object.values(availableMethods).some(Boolean);
+}
+
+module.exports = {
+  AUTH_METHOD_RULES,
+  computeAvailableAuthMethods,
+  getAvailableAuthMethods,
+  hasAnyAuthMethod
+};
@@ -0,0 +1,68 @@
+const crypto = require("crypto");
+const { AsyncResource } = require("async_hooks");
+const { describeError } = require("../database/errors.js");
+const { logger, runWithContext } = require("../database/logger.js");
+
+// Properties of an error that are safe to include in the response
+const ERROR_DETAILS = ["field", "param", "retryAfter"];
+// Incoming request IDs are only reused if they look like one
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+/**
+ * Middleware that gives every request an ID, reusing a well-formed X-Request-Id header from a proxy, and echoes it
+ * in the X-Request-Id response header so that logs and error reports can be matched. The rest of the request is
+ * handled inside a logging context carrying the ID, so every log entry it produces is correlated.
+ */
+function RequestId(req, res, next) {
+  const incoming = req.get("x-request-id");
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  const startedAt = Date.now();
+  runWithContext({ requestId: req.id, method: req.method, path: req.originalUrl.split("?")[0] }, () => {
+    // "finish" is emitted outside the request's async context, so the listener is bound to it
+    res.on("finish", AsyncResource.bind(() => {
+      logger.info("Request completed", { status: res.statusCode, durationMs: Date.now() - startedAt });
+    }));
+    next();
+  });
+}
+
+/**
+ * Sends an error in the common envelope:
+ *   { success: false, error: <message>, code: <catalog code>, requestId, ...details }
+ * Sets Retry-After when the error carries retryAfter (seconds). Server errors are logged with the request ID.
+ */
+function sendError(req, res, error) {
+  const { code, status, message } = describeError(error);
+  if (status >= 500) {
+    logger.error("Request failed", { status: status, error: error });
+  }
+
+  const body = { success: false, error: message, code: code, requestId: req.id };
+  for (const detail of ERROR_DETAILS) {
+    if (error && error[detail] !== undefined) {
+      body[detail] = error[detail];
+    }
+  }
+  if (body.retryAfter !== undefined) {
+    res.set("Retry-After", String(body.retryAfter));
+  }
+  return res.status(status).json(body);
+}
+
+/**
+ * Express error middleware for the User router. Route handlers pass errors to next(error).
+ */
+function ErrorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+  return sendError(req, res, error);
+}
+
+module.exports = {
+  RequestId,
+  sendError,
+  ErrorHandler
+};
@@ -0,0 +1,135 @@
+const createError = require("http-errors");
+
+/*
+The catalog of errors returned by the User router. Each entry has a stable machine-readable code (its key), the HTTP
+status and a default message. Clients should branch on the code; messages may change.
+
+Errors are created with AppError(code) and are ordinary http-errors, so `error.status` keeps working everywhere.
+Errors without a code (e.g. from other modules) are mapped to a generic code for their status by errorMiddleware.
+*/
+const ERROR_CATALOG = {
+  // request validation
+  MISSING_HEADER: { status: 401, message: "The Authorization header is missing." },
+  MISSING_BEARER: { status: 401, message: "The Authorization header must be a bearer token." },
+  INVALID_FIREBASE_TOKEN: { status: 401, message: "The Firebase ID token is invalid or the email is not verified." },
+  INVALID_ACCESS_TOKEN: { status: 401, message: "The access token is missing, expired or revoked." },
+  ADMIN_REQUIRED: { status: 403, message: "This action requires administrator privileges." },
+  INVALID_PARAMETER: { status: 400, message: "A required parameter is missing or invalid." },
+  DEVICE_EXISTS: { status: 409, message: "The device is already registered." },
+  PHONE_NUMBER_NOT_VERIFIED: { status: 409, message: "The phone number has not been verified." },
+  INVALID_FIELD: { status: 400, message: "A field has an invalid value." },
+  FIELD_NOT_EDITABLE: { status: 403, message: "This field cannot be updated." },
+  NO_FIELDS: { status: 400, message: "No fields to update." },
+  INVALID_USERNAME: { status: 400, message: "Username must be 3-30 characters of letters, digits, '.', '_' or '-' and start and end with a letter or digit." },
+  USERNAME_RESERVED: { status: 400, message: "Username is reserved." },
+
+  // users
+  USER_NOT_FOUND: { status: 401, message: "User could not be retrieved from User ID" },
+  USERNAME_TAKEN: { status: 409, message: "Username Already Exists" },
+  ACCOUNT_EXISTS: { status: 409, message: "An account already exists with this email. Sign in with it to link this provider." },
+  INVALID_CURSOR: { status: 400, message: "Invalid cursor." },
+  INVALID_SORT: { status: 400, message: "Invalid sort order." },
+  ORGANIZATION_NOT_LINKED: { status: 404, message: "User is not linked to this organization." },
+  DELETION_NOT_SCHEDULED: { status: 409, message: "No account deletion is scheduled." },
+  DELETION_IN_PROGRESS: { status: 409, message: "Account deletion is already in progress." },
+  DELETION_FAILED: { status: 500, message: "Account deletion failed." },
+  ORGANIZATION_REQUIRED: { status: 400, message: "An organization is required to create a user hash." },
+  USER_HASH_EXPIRED: { status: 410, message: "Session timeout." },
+
+  // phone numbers and one-time codes
+  NO_PHONE_NUMBER: { status: 409, message: "No phone number to verify." },
+  PHONE_NUMBER_ALREADY_VERIFIED: { status: 409, message: "Phone number is already verified." },
+  PHONE_NUMBER_UNCHANGED: { status: 409, message: "Phone number is unchanged." },
+  PHONE_NUMBER_CHANGED: { status: 409, message: "Phone number changed since the code was sent." },
+  PHONE_CHANGE_NOT_PENDING: { status: 409, message: "No phone number change is pending." },
+  INVALID_CANCEL_TOKEN: { status: 401, message: "Invalid cancellation link." },
+  CODE_COOLDOWN: { status: 429, message: "Please wait before requesting another code." },
+  CODE_NOT_REQUESTED: { status: 409, message: "No verification code was requested." },
+  CODE_EXPIRED: { status: 410, message: "Verification code expired." },
+  CODE_ATTEMPTS_EXCEEDED: { status: 429, message: "Too many attempts. Please request a new code." },
+  INVALID_CODE: { status: 401, message: "Invalid verification code." },
+
+  // second factors
+  TOTP_ENROLLMENT_NOT_STARTED: { status: 409, message: "No authenticator enrollment in progress." },
+  TOTP_NOT_ENABLED: { status: 409, message: "Authenticator app is not enabled." },
+  WEBAUTHN_CHALLENGE_NOT_STARTED: { status: 409, message: "No security key challenge in progress." },
+  WEBAUTHN_CHALLENGE_EXPIRED: { status: 409, message: "Security key challenge expired." },
+  WEBAUTHN_REGISTRATION_FAILED: { status: 400, message: "Security key registration could not be verified." },
+  NO_SECURITY_KEYS: { status: 409, message: "No security keys registered." },
+  SECURITY_KEY_NOT_REGISTERED: { status: 401, message: "Security key is not registered." },
+  WEBAUTHN_ASSERTION_FAILED: { status: 401, message: "Security key assertion could not be verified." },
+
+  // sessions
+  INVALID_SUCCESS_JWT: { status: 401, message: "Success JWT Invalid." },
+  INVALID_REFRESH_TOKEN: { status: 401, message: "Refresh token invalid." },
+  SESSION_REVOKED: { status: 401, message: "Session revoked." },
+  REFRESH_TOKEN_REUSED: { status: 401, message: "Refresh token reuse detected." },
+  USER_MISMATCH: { status: 401, message: "Users do not match." },
+  SESSION_NOT_FOUND: { status: 404, message: "Session not found." },
+  TRUSTED_DEVICE_NOT_FOUND: { status: 404, message: "Trusted device not found." },
+  SMART_NOT_AVAILABLE: { status: 403, message: "Smart authentication is not available for this user." },
+
+  // rate limiting
+  RATE_LIMITED: { status: 429, message: "Too many requests. Try again later." },
+  LOCKED_OUT: { status: 429, message: "Too many failed attempts. Try again later." },
+
+  // generic codes for errors created without one
+  BAD_REQUEST: { status: 400, message: "Bad request." },
+  UNAUTHORIZED: { status: 401, message: "Unauthorized." },
+  FORBIDDEN: { status: 403, message: "Forbidden." },
+  NOT_FOUND: { status: 404, message: "Not found." },
+  CONFLICT: { status: 409, message: "Conflict." },
+  GONE: { status: 410, message: "Gone." },
+  TOO_MANY_REQUESTS: { status: 429, message: "Too many requests." },
+  INTERNAL_ERROR: { status: 500, message: "An internal error occurred." }
+};
+
+// Generic code for each status, used for errors that do not carry a catalog code
+const STATUS_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  410: "GONE",
+  429: "TOO_MANY_REQUESTS"
+};
+
+/**
+ * @returns {HttpError}
+ Creates the catalog error for a code. `message` replaces the default message; other properties (field, param,
+ retryAfter...) are attached to the error and included in the response.
+ * @param {String} code - A key of ERROR_CATALOG.
+ * @param {Object} properties - Optional { message, ...details }
+*/
+function AppError(code, { message, ...details } = {}) {
+  const entry = ERROR_CATALOG[code];
+  if (!entry) {
+    throw new Error(`Unknown error code ${code}`);
+  }
+  return createError(entry.status, message || entry.message, { ...details, code: code });
+}
+
+/**
+ * @returns {Object}
+ The code, status and message to report for any error. Errors outside the catalog get the generic code for their
+ status; server errors never expose their message.
+*/
+function describeError(error) {
+  if (error && ERROR_CATALOG[error.code]) {
+    const status = error.status || ERROR_CATALOG[error.code].status;
+    return { code: error.code, status: status, message: status >= 500 ? ERROR_CATALOG[error.code].message : error.message };
+  }
+
+  const status = error && Number.isInteger(error.status) && error.status >= 400 && error.status < 600 ? error.status : 500;
+  if (status >= 500) {
+    return { code: "INTERNAL_ERROR", status: status, message: ERROR_CATALOG.INTERNAL_ERROR.message };
+  }
+  return { code: STATUS_CODES[status] || "BAD_REQUEST", status: status, message: error.message };
+}
+
+module.exports = {
+  ERROR_CATALOG,
+  AppError,
+  describeError
+};
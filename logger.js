@@ -0,0 +1,155 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+/*
+Structured logger. Every entry is one JSON object per line:
+  { time, level, msg, requestId, ...fields }
+The requestId (and any other fields of the current request context) is added automatically to everything logged
+while handling a request, including from the database modules, through AsyncLocalStorage.
+
+Configuration:
+  LOG_LEVEL    debug | info | warn | error | silent. Defaults to info in production and debug elsewhere.
+  LOG_FORMAT   json | pretty. Defaults to json in production and pretty elsewhere.
+
+Values under sensitive keys (tokens, cookies, secrets, codes, phone numbers...) are replaced before writing, and
+JWTs, bearer tokens and phone numbers are masked inside any string.
+*/
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const PRODUCTION = process.env.NODE_ENV === "production";
+
+const REDACTED = "[REDACTED]";
+// Keys are compared lowercased and without "-" or "_", so accessToken, access_token and Access-Token all match.
+// Exact names rather than substrings keep fields such as errorCode or statusCode readable.
+const SENSITIVE_KEYS = new Set([
+  "token", "accesstoken", "refreshtoken", "idtoken", "successjwt", "jwt", "canceltoken", "trusteddevice",
+  "cookie", "cookies", "setcookie", "authorization",
+  "secret", "pendingsecret", "password", "credential", "credentials", "encdata",
+  "code", "otp", "recoverycode", "recoverycodes", "codehash",
+  "phone", "phonenumber", "hash", "hasheduserid"
+]);
+const JWT_PATTERN = /eyJ[\w-]+\.[\w-]+\.[\w-]*/g;
+const BEARER_PATTERN = /(bearer\s+)[\w.~+/=-]+/gi;
+// E.164 numbers as stored and sent to the SMS provider; dates, times and IP addresses do not match
+const PHONE_PATTERN = /\+\d{8,15}\b/g;
+const MAX_DEPTH = 6;
+
+const requestContext = new AsyncLocalStorage();
+
+// ----------------------------------------------Helpers----------------------------------------------------- //
+
+function isSensitiveKey(key) {
+  return SENSITIVE_KEYS.has(key.toLowerCase().replace(/[-_]/g, ""));
+}
+
+function redactString(value) {
+  return value
+    .replace(JWT_PATTERN, REDACTED)
+    .replace(BEARER_PATTERN, `$1${REDACTED}`)
+    .replace(PHONE_PATTERN, (phone) => `${"*".repeat(Math.max(phone.length - 2, 0))}${phone.slice(-2)}`);
+}
+
+/**
+ * @returns {*}
+ A copy of value that is safe to log: sensitive keys replaced, strings masked, errors flattened and cycles cut.
+*/
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === "string") {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message || ""),
+      code: value.code,
+      status: value.status,
+      stack: PRODUCTION || !value.stack ? undefined : redactString(value.stack)
+    };
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (!value || typeof value !== "object") {
+    return value;
+  }
+  if (depth >= MAX_DEPTH || seen.has(value)) {
+    return "[Truncated]";
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((entry) => redact(entry, depth + 1, seen));
+  }
+  const result = {};
+  for (const key of Object.keys(value)) {
+    result[key] = isSensitiveKey(key) ? REDACTED : redact(value[key], depth + 1, seen);
+  }
+  return result;
+}
+
+function write(level, bindings, msg, fields) {
+  const threshold = LEVELS[process.env.LOG_LEVEL] || (PRODUCTION ? LEVELS.info : LEVELS.debug);
+  if (LEVELS[level] < threshold) {
+    return;
+  }
+
+  // a lone error may be passed in place of the fields
+  const extra = fields instanceof Error ? { error: fields } : fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level: level,
+    msg: redactString(String(msg)),
+    ...redact({ ...requestContext.getStore(), ...bindings, ...extra })
+  };
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  const format = process.env.LOG_FORMAT || (PRODUCTION ? "json" : "pretty");
+  if (format === "pretty") {
+    const { time, level: entryLevel, msg: message, ...rest } = entry;
+    const details = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : "";
+    stream.write(`${time} ${entryLevel.toUpperCase()} ${message}${details}\n`);
+  } else {
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+}
+
+/**
+ * @returns {Object}
+ A logger with debug, info, warn and error methods taking (msg, fields) and child(bindings) for a logger that adds
+ the bindings to every entry.
+*/
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write("debug", bindings, msg, fields),
+    info: (msg, fields) => write("info", bindings, msg, fields),
+    warn: (msg, fields) => write("warn", bindings, msg, fields),
+    error: (msg, fields) => write("error", bindings, msg, fields),
+    child: (childBindings) => createLogger({ ...bindings, ...childBindings })
+  };
+}
+
+/**
+ * Runs fn with a request context whose fields are added to every entry logged until it completes.
+ * @param {Object} context - e.g. { requestId }
+ * @param {Function} fn
+ */
+function runWithContext(context, fn) {
+  return requestContext.run({ ...context }, fn);
+}
+
+/**
+ * Adds fields to the current request context, e.g. the userId once the Firebase token has been verified.
+ */
+function addContext(fields) {
+  const store = requestContext.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+}
+
+module.exports = {
+  logger: createLogger(),
+  createLogger,
+  runWithContext,
+  addContext,
+  redact
+};
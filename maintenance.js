@@ -0,0 +1,91 @@
+const SessionDb = require("./session.js");
+const UsersDb = require("./user.js");
+const PhoneVerificationDb = require("./phoneVerification.js");
+const UserHashDb = require("./userHash.js");
+const { logger } = require("./logger.js");
+
+/*
+Periodic maintenance of the user database. Each job cleans up or applies something that is due, and is safe to run
+repeatedly and from several instances at once.
+
+startMaintenance() runs every job every USER_MAINTENANCE_INTERVAL_SECONDS (default 300) in this process. Nothing starts
+it on require: the server entry point calls it once after the app is set up, e.g.
+
+  const { startMaintenance } = require("./database/maintenance.js");
+  app.listen(port, () => startMaintenance());
+
+so that tests and scripts loading the routers do not start timers. Set USER_MAINTENANCE_INTERVAL_SECONDS=0 to disable
+the timer when an external scheduler (e.g. cron or Cloud Scheduler) calls runMaintenance() instead.
+*/
+
+const MAINTENANCE_INTERVAL_SECONDS = process.env.USER_MAINTENANCE_INTERVAL_SECONDS !== undefined
+  ? parseInt(process.env.USER_MAINTENANCE_INTERVAL_SECONDS, 10)
+  : 300;
+
+// Jobs in the order they run; each resolves with a summary of what it did
+const MAINTENANCE_JOBS = {
+  // revocations of access tokens that have expired on their own are no longer needed
+  expiredRevocations: () => SessionDb.delete.deleteExpiredRevocations(),
+  // accounts whose deletion grace period has ended, and deletions that failed or were interrupted part way
+  pendingDeletions: () => UsersDb.delete.processPendingDeletions(),
+  // confirmed phone number changes whose review window has passed, revoking the devices trusted with the old number
+  phoneChanges: () => PhoneVerificationDb.update.applyDuePhoneChanges(),
+  // expired one-time user hashes; sweepHashes also keeps the metrics reported by getHashSweeperMetrics
+  userHashes: () => UserHashDb.delete.sweepHashes().then((metrics) => metrics.lastDeleted)
+};
+
+let timer = null;
+let running = false;
+
+/**
+ * @returns {Promise<Object>}
+ Runs every maintenance job once and returns each job's result, or { error } for a job that failed. A failing job
+ does not stop the others. Never throws.
+*/
+async function runMaintenance() {
+  const results = {};
+  for (const [name, job] of Object.entries(MAINTENANCE_JOBS)) {
+    try {
+      results[name] = await job();
+    } catch (error) {
+      logger.error("Maintenance job failed", { job: name, error: error });
+      results[name] = { error: error.message };
+    }
+  }
+  logger.debug("Maintenance completed", { results: results });
+  return results;
+}
+
+/**
+ * Starts running the maintenance jobs every USER_MAINTENANCE_INTERVAL_SECONDS. Does nothing if it is already running
+ * or disabled. A run is skipped while the previous one is still going. The timer does not keep the process alive.
+ */
+function startMaintenance(intervalSeconds = MAINTENANCE_INTERVAL_SECONDS) {
+  if (timer || !(intervalSeconds > 0)) {
+    return;
+  }
+  timer = setInterval(async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await runMaintenance();
+    } finally {
+      running = false;
+    }
+  }, intervalSeconds * 1000);
+  timer.unref();
+}
+
+function stopMaintenance() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  MAINTENANCE_JOBS,
+  runMaintenance,
+  startMaintenance,
+  stopMaintenance
+};
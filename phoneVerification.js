@@ -0,0 +1,427 @@
+const crypto = require("crypto");
+const { getStorage } = require("./storage.js");
+const { AppError } = require("./errors.js");
+const { getSmsProvider } = require("./smsProvider.js");
+const TrustedDeviceDb = require("./trustedDevice.js");
+const UsersDb = require("./user.js");
+
+const storage = getStorage();
+const UsersRef = storage.collection("Users");
+
+const CODE_LENGTH = 6;
+// Lifetime of a code, in milliseconds
+const CODE_TTL = 10 * 60 * 1000;
+// Minimum time between two codes for the same purpose, in milliseconds
+const RESEND_COOLDOWN = 60 * 1000;
+// Wrong guesses allowed per code before a new one must be requested
+const MAX_ATTEMPTS = 5;
+// How long the old phone number can cancel a confirmed change before it takes effect, in milliseconds
+const PHONE_CHANGE_REVIEW_WINDOW = (parseFloat(process.env.PHONE_CHANGE_REVIEW_HOURS) || 24) * 60 * 60 * 1000;
+
+// ----------------------------------------------Helpers----------------------------------------------------- //
+
+function codeRef(userId, purpose) {
+  return UsersRef.doc(userId).collection("verificationCodes").doc(purpose);
+}
+
+/**
+ * Codes are stored as HMACs under a server-held key and bound to the user, purpose and phone number they were sent for.
+ */
+function hashCode(userId, purpose, phoneNumber, code) {
+  const key = process.env.PHONE_CODE_KEY || process.env.JWT_SECRET_KEY;
+  return crypto.createHmac("sha256", key).update(`${userId}||${purpose}||${phoneNumber}||${code}`).digest("hex");
+}
+
+function hashCancelToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function randomCode() {
+  return crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, "0");
+}
+
+// ----------------------------------------------Create----------------------------------------------------- //
+
+/**
+ * @returns {Promise<Object>}
+ Sends a one-time code to a phone number and stores its hash, replacing any earlier code for the same purpose.
+ Returns { expiresAt }. Throws a 429 error with `retryAfter` (seconds) if a code was sent less than
+ RESEND_COOLDOWN ago.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} purpose - What the code confirms, e.g. "verify"; codes for different purposes are independent.
+ * @param {String} phoneNumber - Number the code is sent to.
+ * @param {Function} message - Builds the SMS body from the code.
+*/
+async function issueCode(userId, purpose, phoneNumber, message) {
+  const ref = codeRef(userId, purpose);
+  const code = randomCode();
+  const now = Date.now();
+
+  const result = await storage.runTransaction(async (transaction) => {
+    const existing = await transaction.get(ref);
+    if (existing.exists && existing.get("sentAt") + RESEND_COOLDOWN > now) {
+      const retryAfter = Math.ceil((existing.get("sentAt") + RESEND_COOLDOWN - now) / 1000);
+      return { error: AppError("CODE_COOLDOWN", { retryAfter }) };
+    }
+
+    transaction.set(ref, {
+      codeHash: hashCode(userId, purpose, phoneNumber, code),
+      phoneNumber: phoneNumber,
+      sentAt: now,
+      expiresAt: now + CODE_TTL,
+      attempts: 0
+    });
+    return {};
+  });
+
+  if (result.error) {
+    throw result.error;
+  }
+
+  await getSmsProvider().sendSms(phoneNumber, message(code));
+  return { expiresAt: new Date(now + CODE_TTL) };
+}
+
+/**
+ * @returns {Promise<Object>}
+ Sends a code to the user's current phone number to verify it. Throws a 401 error if the user cannot be found and
+ a 409 error if they have no phone number or it is already verified.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+*/
+async function sendVerificationCode(userId) {
+  const user = await UsersRef.doc(userId).get();
+  if (!user.exists) {
+    throw AppError("USER_NOT_FOUND");
+  }
+  if (!user.get("phoneNumber")) {
+    throw AppError("NO_PHONE_NUMBER");
+  }
+  if (user.get("phoneVerified")) {
+    throw AppError("PHONE_NUMBER_ALREADY_VERIFIED");
+  }
+
+  return issueCode(userId, "verify", user.get("phoneNumber"), (code) => `Your Cynorix verification code is ${code}`);
+}
+
+/**
+ * @returns {Promise<Object>}
+ Sends a sign-in code to the user's verified phone number, the SMS second factor. A phone number change that is due
+ is applied first so the code goes to the new number. Throws a 401 error if the user cannot be found and a 409 error
+ if their phone number is not verified.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+*/
+async function sendLoginCode(userId) {
+  await finalizePhoneChange(userId);
+  const user = await UsersRef.doc(userId).get();
+  if (!user.exists) {
+    throw AppError("USER_NOT_FOUND");
+  }
+  if (!user.get("phoneNumber") || !user.get("phoneVerified")) {
+    throw AppError("PHONE_NUMBER_NOT_VERIFIED");
+  }
+
+  return issueCode(userId, "login", user.get("phoneNumber"), (code) => `Your Cynorix sign-in code is ${code}`);
+}
+
+/**
+ * @returns {Promise<Object>}
+ Starts changing the user's phone number. The new number is stored as pending and receives a confirmation code; the
+ current number keeps working until the change is confirmed and its review window has passed. The review window
+ applies whenever the account has another factor to protect it: a verified current number, which also receives an
+ alert with a link to cancel the change, or an authenticator app or security key, with which the user can sign in and
+ cancel it. Returns the pending change.
+ Throws a 401 error if the user cannot be found, a 409 error if the number is unchanged and the errors of issueCode.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} phoneNumber - The new phone number.
+*/
+async function requestPhoneChange(userId, phoneNumber) {
+  const ref = UsersRef.doc(userId);
+  const user = await ref.get();
+  if (!user.exists) {
+    throw AppError("USER_NOT_FOUND");
+  }
+
+  const currentNumber = user.get("phoneNumber");
+  if (currentNumber === phoneNumber) {
+    throw AppError("PHONE_NUMBER_UNCHANGED");
+  }
+
+  await issueCode(userId, "change", phoneNumber, (code) => `Your Cynorix code to confirm this phone number is ${code}`);
+
+  // without any other factor nobody could cancel the change, so it can apply as soon as it is confirmed
+  const factors = await UsersDb.read.GetAuthFactorsFromUID(userId);
+  const alertCurrentNumber = Boolean(currentNumber && factors.phoneVerified);
+  const review = alertCurrentNumber || factors.totpEnabled || factors.webauthnEnabled;
+  const cancelToken = crypto.randomBytes(24).toString("base64url");
+  const pendingPhoneChange = {
+    phoneNumber: phoneNumber,
+    requestedAt: Date.now(),
+    reviewUntil: Date.now() + (review ? PHONE_CHANGE_REVIEW_WINDOW : 0),
+    confirmed: false,
+    cancelTokenHash: hashCancelToken(cancelToken)
+  };
+  await ref.update({ pendingPhoneChange: pendingPhoneChange });
+
+  if (alertCurrentNumber) {
+    const cancelUrl = `${process.env.REACT_APP_PUBLIC_URL}/cancelPhoneChange?userId=${encodeURIComponent(userId)}&token=${cancelToken}`;
+    await getSmsProvider().sendSms(
+      currentNumber,
+      `A request was made to move your Cynorix account to a phone number ending in ${phoneNumber.slice(-4)}. ` +
+        `If this was not you, cancel it: ${cancelUrl}`
+    );
+  }
+
+  return describePendingChange(pendingPhoneChange);
+}
+
+module.exports.create = {
+  issueCode,
+  sendVerificationCode,
+  sendLoginCode,
+  requestPhoneChange
+};
+
+// ----------------------------------------------Read----------------------------------------------------- //
+
+function describePendingChange(pendingPhoneChange) {
+  return {
+    phoneNumber: pendingPhoneChange.phoneNumber,
+    confirmed: pendingPhoneChange.confirmed,
+    requestedAt: new Date(pendingPhoneChange.requestedAt),
+    reviewUntil: new Date(pendingPhoneChange.reviewUntil)
+  };
+}
+
+/**
+ * @returns {Promise<Object|null>}
+ The user's pending phone number change, or null if there is none. A confirmed change whose review window has
+ passed is applied first.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+*/
+async function getPendingPhoneChange(userId) {
+  await finalizePhoneChange(userId);
+
+  const user = await UsersRef.doc(userId).get();
+  const pendingPhoneChange = user.exists ? user.get("pendingPhoneChange") : undefined;
+  return pendingPhoneChange ? describePendingChange(pendingPhoneChange) : null;
+}
+
+module.exports.read = {
+  getPendingPhoneChange
+};
+
+// ----------------------------------------------Update----------------------------------------------------- //
+
+/**
+ * @returns {Promise<String>}
+ Checks a code and consumes it on success, returning the phone number it was sent to. Throws a 409 error if no code
+ is outstanding, a 410 error if it expired, a 429 error once MAX_ATTEMPTS wrong codes were tried and a 401 error
+ for a wrong code.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} purpose - The purpose the code was issued for.
+ * @param {String} code - The code entered by the user.
+*/
+async function checkCode(userId, purpose, code) {
+  const ref = codeRef(userId, purpose);
+
+  const result = await storage.runTransaction(async (transaction) => {
+    const pending = await transaction.get(ref);
+    if (!pending.exists) {
+      return { error: AppError("CODE_NOT_REQUESTED") };
+    }
+    if (pending.get("expiresAt") < Date.now()) {
+      transaction.delete(ref);
+      return { error: AppError("CODE_EXPIRED") };
+    }
+    if (pending.get("attempts") >= MAX_ATTEMPTS) {
+      return { error: AppError("CODE_ATTEMPTS_EXCEEDED") };
+    }
+
+    const phoneNumber = pending.get("phoneNumber");
+    const expected = Buffer.from(pending.get("codeHash"), "hex");
+    const actual = Buffer.from(hashCode(userId, purpose, phoneNumber, String(code)), "hex");
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      transaction.update(ref, { attempts: storage.increment(1) });
+      return { error: AppError("INVALID_CODE") };
+    }
+
+    transaction.delete(ref);
+    return { phoneNumber };
+  });
+
+  if (result.error) {
+    throw result.error;
+  }
+  return result.phoneNumber;
+}
+
+/**
+ * @returns {Promise}
+ Marks the user's phone number as verified once they enter the code sent by sendVerificationCode. Throws a 409
+ error if the phone number changed since the code was sent, and the errors of checkCode.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} code - The code entered by the user.
+*/
+async function verifyPhoneNumber(userId, code) {
+  const phoneNumber = await checkCode(userId, "verify", code);
+
+  const ref = UsersRef.doc(userId);
+  const result = await storage.runTransaction(async (transaction) => {
+    const user = await transaction.get(ref);
+    if (!user.exists || user.get("phoneNumber") !== phoneNumber) {
+      return { error: AppError("PHONE_NUMBER_CHANGED") };
+    }
+    transaction.update(ref, { phoneVerified: true });
+    return {};
+  });
+
+  if (result.error) {
+    throw result.error;
+  }
+}
+
+/**
+ * @returns {Promise}
+ Checks a sign-in code sent by sendLoginCode. Throws a 409 error if the phone number changed since the code was
+ sent, and the errors of checkCode.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} code - The code entered by the user.
+*/
+async function verifyLoginCode(userId, code) {
+  const phoneNumber = await checkCode(userId, "login", code);
+
+  const user = await UsersRef.doc(userId).get();
+  if (!user.exists || user.get("phoneNumber") !== phoneNumber) {
+    throw AppError("PHONE_NUMBER_CHANGED");
+  }
+}
+
+/**
+ * @returns {Promise<Object>}
+ Confirms a pending phone number change with the code sent to the new number. The change takes effect once the
+ review window has passed. Returns the pending change, or { applied: true } if it took effect immediately.
+ Throws a 409 error if no change is pending and the errors of checkCode.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} code - The code sent to the new phone number.
+*/
+async function confirmPhoneChange(userId, code) {
+  const phoneNumber = await checkCode(userId, "change", code);
+
+  const ref = UsersRef.doc(userId);
+  const result = await storage.runTransaction(async (transaction) => {
+    const user = await transaction.get(ref);
+    const pendingPhoneChange = user.exists ? user.get("pendingPhoneChange") : undefined;
+    if (!pendingPhoneChange || pendingPhoneChange.phoneNumber !== phoneNumber) {
+      return { error: AppError("PHONE_CHANGE_NOT_PENDING") };
+    }
+    transaction.update(ref, { "pendingPhoneChange.confirmed": true });
+    return { pendingPhoneChange: { ...pendingPhoneChange, confirmed: true } };
+  });
+
+  if (result.error) {
+    throw result.error;
+  }
+
+  if (await finalizePhoneChange(userId)) {
+    return { applied: true, phoneNumber: phoneNumber };
+  }
+  return describePendingChange(result.pendingPhoneChange);
+}
+
+/**
+ * @returns {Promise<Boolean>}
+ Applies the user's pending phone number change if it is confirmed and its review window has passed. The new number
+ is verified since the user entered the code sent to it, and devices trusted with the old number are revoked.
+ Returns true if the change was applied.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+*/
+async function finalizePhoneChange(userId) {
+  const ref = UsersRef.doc(userId);
+  const applied = await storage.runTransaction(async (transaction) => {
+    const user = await transaction.get(ref);
+    const pendingPhoneChange = user.exists ? user.get("pendingPhoneChange") : undefined;
+    if (!pendingPhoneChange || !pendingPhoneChange.confirmed || pendingPhoneChange.reviewUntil > Date.now()) {
+      return false;
+    }
+
+    transaction.update(ref, {
+      phoneNumber: pendingPhoneChange.phoneNumber,
+      phoneVerified: true,
+      pendingPhoneChange: storage.deleteField()
+    });
+    return true;
+  });
+
+  if (applied) {
+    await TrustedDeviceDb.delete.revokeAllTrustedDevices(userId, "phoneChanged");
+  }
+  return applied;
+}
+
+/**
+ * @returns {Promise<Number>}
+ Applies every confirmed phone number change whose review window has passed. Run periodically by maintenance.js.
+ Returns the number of changes applied.
+*/
+async function applyDuePhoneChanges() {
+  const due = await UsersRef.where("pendingPhoneChange.confirmed", "==", true)
+    .where("pendingPhoneChange.reviewUntil", "<=", Date.now())
+    .get();
+
+  let applied = 0;
+  for (const user of due.docs) {
+    if (await finalizePhoneChange(user.id)) {
+      applied++;
+    }
+  }
+  return applied;
+}
+
+module.exports.update = {
+  checkCode,
+  verifyPhoneNumber,
+  verifyLoginCode,
+  confirmPhoneChange,
+  finalizePhoneChange,
+  applyDuePhoneChanges
+};
+
+// ----------------------------------------------Delete----------------------------------------------------- //
+
+/**
+ * @returns {Promise}
+ Cancels the user's pending phone number change. With a cancel token (from the alert sent to the old number) the
+ token must match; without one the caller must already have authenticated the user. Throws a 409 error if no change
+ is pending and a 401 error if the token does not match.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} cancelToken - Optional token from the alert link.
+*/
+async function cancelPhoneChange(userId, cancelToken) {
+  const ref = UsersRef.doc(userId);
+  const result = await storage.runTransaction(async (transaction) => {
+    const user = await transaction.get(ref);
+    const pendingPhoneChange = user.exists ? user.get("pendingPhoneChange") : undefined;
+    if (!pendingPhoneChange) {
+      return { error: AppError("PHONE_CHANGE_NOT_PENDING") };
+    }
+    if (cancelToken !== undefined) {
+      const expected = Buffer.from(pendingPhoneChange.cancelTokenHash, "hex");
+      const actual = Buffer.from(hashCancelToken(cancelToken), "hex");
+      if (!crypto.timingSafeEqual(expected, actual)) {
+        return { error: AppError("INVALID_CANCEL_TOKEN") };
+      }
+    }
+
+    transaction.update(ref, { pendingPhoneChange: storage.deleteField() });
+    transaction.delete(codeRef(userId, "change"));
+    return {};
+  });
+
+  if (result.error) {
+    throw result.error;
+  }
+}
+
+module.exports.delete = {
+  cancelPhoneChange
+};
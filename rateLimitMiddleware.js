@@ -0,0 +1,261 @@
+const crypto = require("crypto");
+const { getStorage } = require("../database/storage.js");
+const { AppError } = require("../database/errors.js");
+const { sendError } = require("./errorMiddleware");
+const { logger } = require("../database/logger.js");
+
+/*
+Rate limiting for the User router.
+
+Each limit counts requests in a sliding window, separately for every key it applies to: the client IP and, once the
+Firebase token has been validated, the userId. A request over any of its limits is rejected with 429 and a
+Retry-After header. Routes can also lock a key out for a while after repeated failed responses, e.g. forged
+successJWTs sent to /storeAccessToken.
+
+A store records hit timestamps per key:
+  hit(key, windowMs)        -> Promise<{ count, retryAfterMs }> records a hit and counts the hits still in the window
+  count(key, windowMs)      -> Promise<{ count, retryAfterMs }> the same without recording a hit
+  reset(key)                -> Promise clears the key
+retryAfterMs is the time until the oldest hit in the window expires. The in-memory store is the default; with
+RATE_LIMIT_STORE=storage the hits are kept in the RateLimits collection so all instances share them.
+*/
+
+const MEMORY = "memory";
+const STORAGE = "storage";
+
+// Checks of one-time codes and other second factors. A 6-digit code has a million values, so a key is locked out after a
+// few wrong answers to stop guessing.
+const SECOND_FACTOR_LIMIT = {
+  windowMs: 60 * 1000,
+  max: 10,
+  keys: ["ip", "userId"],
+  lockout: { maxFailures: 5, windowMs: 15 * 60 * 1000 }
+};
+
+// Per-route limits. windowMs and max bound the requests per key; lockout, if set, rejects a key for
+// lockout.windowMs once it has produced lockout.maxFailures failed responses within that time.
+const RATE_LIMITS = {
+  verifyUsername: { windowMs: 60 * 1000, max: 20, keys: ["ip"] },
+  checkPhoneNumberChange: { windowMs: 60 * 1000, max: 10, keys: ["ip", "userId"] },
+  storeAccessToken: {
+    windowMs: 60 * 1000,
+    max: 10,
+    keys: ["ip", "userId"],
+    lockout: { maxFailures: 5, windowMs: 15 * 60 * 1000 }
+  },
+  totpVerify: SECOND_FACTOR_LIMIT,
+  smsVerify: SECOND_FACTOR_LIMIT,
+  webauthnVerify: SECOND_FACTOR_LIMIT,
+  recoveryCodeVerify: SECOND_FACTOR_LIMIT,
+  phoneVerifyCode: SECOND_FACTOR_LIMIT,
+  // every SMS costs money, so senders are capped per hour on top of the per-code resend cooldown
+  smsSend: { windowMs: 60 * 60 * 1000, max: 5, keys: ["ip", "userId"] },
+  phoneSendCode: { windowMs: 60 * 60 * 1000, max: 5, keys: ["ip", "userId"] }
+};
+
+// ----------------------------------------------Stores----------------------------------------------------- //
+
+/**
+ * @returns {Object}
+ Keeps hits in process memory. Keys without hits in their last window are swept every sweepIntervalMs.
+*/
+function createMemoryRateLimitStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+  const hits = new Map(); // key -> { timestamps, windowMs }
+  let lastSweep = Date.now();
+
+  function prune(key, windowMs, now) {
+    const entry = hits.get(key);
+    if (!entry) {
+      return [];
+    }
+    entry.windowMs = Math.max(entry.windowMs, windowMs);
+    entry.timestamps = entry.timestamps.filter((timestamp) => timestamp > now - windowMs);
+    return entry.timestamps;
+  }
+
+  function sweep(now) {
+    lastSweep = now;
+    for (const [key, entry] of hits) {
+      if (entry.timestamps.every((timestamp) => timestamp <= now - entry.windowMs)) {
+        hits.delete(key);
+      }
+    }
+  }
+
+  function result(timestamps, windowMs, now) {
+    return { count: timestamps.length, retryAfterMs: timestamps.length > 0 ? timestamps[0] + windowMs - now : 0 };
+  }
+
+  return {
+    name: MEMORY,
+    hit: async (key, windowMs) => {
+      const now = Date.now();
+      if (now - lastSweep > sweepIntervalMs) {
+        sweep(now);
+      }
+      if (!hits.has(key)) {
+        hits.set(key, { timestamps: [], windowMs: windowMs });
+      }
+      const timestamps = prune(key, windowMs, now);
+      timestamps.push(now);
+      return result(timestamps, windowMs, now);
+    },
+    count: async (key, windowMs) => {
+      const now = Date.now();
+      return result(prune(key, windowMs, now), windowMs, now);
+    },
+    reset: async (key) => {
+      hits.delete(key);
+    }
+  };
+}
+
+/**
+ * @returns {Object}
+ Keeps hits in the RateLimits collection of the storage adapter so that every instance sees the same counts.
+ Documents are keyed by a hash of the key and carry an expiresAt for a TTL policy to clean them up.
+*/
+function createStorageRateLimitStore(storage = getStorage()) {
+  const RateLimitsRef = storage.collection("RateLimits");
+  const docFor = (key) => RateLimitsRef.doc(crypto.createHash("sha256").update(key).digest("hex"));
+
+  async function update(key, windowMs, record) {
+    return storage.runTransaction(async (transaction) => {
+      const ref = docFor(key);
+      const doc = await transaction.get(ref);
+      const now = Date.now();
+      const timestamps = (doc.exists ? doc.get("timestamps") || [] : []).filter((timestamp) => timestamp > now - windowMs);
+
+      if (record) {
+        timestamps.push(now);
+        transaction.set(ref, { timestamps: timestamps, expiresAt: new Date(now + windowMs) });
+      }
+      return { count: timestamps.length, retryAfterMs: timestamps.length > 0 ? timestamps[0] + windowMs - now : 0 };
+    });
+  }
+
+  return {
+    name: STORAGE,
+    hit: (key, windowMs) => update(key, windowMs, true),
+    count: (key, windowMs) => update(key, windowMs, false),
+    reset: async (key) => {
+      await docFor(key).delete();
+    }
+  };
+}
+
+let store;
+
+/**
+ * @returns {Object}
+ Returns the store selected by RATE_LIMIT_STORE (memory by default).
+*/
+function getRateLimitStore() {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || MEMORY;
+    switch (name) {
+      case MEMORY:
+        store = createMemoryRateLimitStore();
+        break;
+      case STORAGE:
+        store = createStorageRateLimitStore();
+        break;
+      default:
+        throw new Error(`Unknown rate limit store ${name}`);
+    }
+  }
+  return store;
+}
+
+/**
+ * Replaces the store, e.g. with a shared store or a stub in tests.
+ * @param {Object} rateLimitStore - An object implementing hit, count and reset.
+ */
+function setRateLimitStore(rateLimitStore) {
+  store = rateLimitStore;
+}
+
+// ----------------------------------------------Middleware----------------------------------------------------- //
+
+function keysFor(name, config, req) {
+  const keys = [];
+  if (config.keys.includes("ip") && req.ip) {
+    keys.push(`${name}:ip:${req.ip}`);
+  }
+  if (config.keys.includes("userId") && req.body && req.body.userId) {
+    keys.push(`${name}:user:${req.body.userId}`);
+  }
+  return keys;
+}
+
+function tooManyRequests(req, res, code, retryAfterMs) {
+  return sendError(req, res, AppError(code, { retryAfter: Math.max(Math.ceil(retryAfterMs / 1000), 1) }));
+}
+
+/**
+ * @returns {Function}
+ Express middleware enforcing the limits of a route in RATE_LIMITS, optionally overridden. Limits by userId only
+ apply once the Firebase token has been validated, so place it after AuthValidate on authenticated routes.
+ Failed responses (4xx other than 429 by default, or as decided by isFailure) count towards the lockout.
+ If the store cannot be reached the request is let through rather than failing the route.
+ * @param {String} name - The route's entry in RATE_LIMITS; also namespaces the keys.
+ * @param {Object} overrides - Optional { windowMs, max, keys, lockout, isFailure } replacing the defaults.
+*/
+function RateLimit(name, overrides = {}) {
+  const config = { ...RATE_LIMITS[name], ...overrides };
+  if (!config.windowMs || !config.max || !config.keys) {
+    throw new Error(`Rate limit ${name} is not configured`);
+  }
+  const isFailure = config.isFailure || ((req, res) => res.statusCode >= 400 && res.statusCode !== 429);
+
+  return async (req, res, next) => {
+    const rateLimitStore = getRateLimitStore();
+    const keys = keysFor(name, config, req);
+
+    try {
+      if (config.lockout) {
+        for (const key of keys) {
+          const failures = await rateLimitStore.count(`${key}:failures`, config.lockout.windowMs);
+          if (failures.count >= config.lockout.maxFailures) {
+            return tooManyRequests(req, res, "LOCKED_OUT", failures.retryAfterMs);
+          }
+        }
+      }
+
+      let remaining = config.max;
+      for (const key of keys) {
+        const { count, retryAfterMs } = await rateLimitStore.hit(key, config.windowMs);
+        if (count > config.max) {
+          return tooManyRequests(req, res, "RATE_LIMITED", retryAfterMs);
+        }
+        remaining = Math.min(remaining, config.max - count);
+      }
+      res.set("RateLimit-Limit", String(config.max));
+      res.set("RateLimit-Remaining", String(remaining));
+    } catch (error) {
+      logger.error("Rate limit store unavailable, allowing request", { limit: name, error: error });
+      return next();
+    }
+
+    if (config.lockout) {
+      res.on("finish", () => {
+        if (isFailure(req, res)) {
+          Promise.all(keys.map((key) => rateLimitStore.hit(`${key}:failures`, config.lockout.windowMs))).catch((error) => {
+            logger.error("Rate limit failure could not be recorded", { limit: name, error: error });
+          });
+        }
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  RATE_LIMITS,
+  RateLimit,
+  createMemoryRateLimitStore,
+  createStorageRateLimitStore,
+  getRateLimitStore,
+  setRateLimitStore
+};
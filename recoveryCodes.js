@@ -0,0 +1,118 @@
+const crypto = require("crypto");
+const { getStorage } = require("./storage.js");
+const { AppError } = require("./errors.js");
+
+const storage = getStorage();
+const UsersRef = storage.collection("Users");
+
+const RECOVERY_CODE_COUNT = 10;
+// Unambiguous characters only (no 0/O, 1/I/L), so codes can be read back from paper
+const RECOVERY_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const RECOVERY_CODE_LENGTH = 10;
+
+// ----------------------------------------------Helpers----------------------------------------------------- //
+
+/**
+ * Codes are stored as HMACs under a server-held key, so a copy of the database alone is not enough to test guesses.
+ */
+function hashCode(userId, code) {
+  const key = process.env.RECOVERY_CODE_KEY || process.env.JWT_SECRET_KEY;
+  return crypto.createHmac("sha256", key).update(`${userId}||${normalizeCode(code)}`).digest("hex");
+}
+
+function normalizeCode(code) {
+  return String(code).toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+function randomCode() {
+  // randomInt draws each character uniformly; reducing random bytes modulo 31 would favour the first characters
+  const characters = Array.from({ length: RECOVERY_CODE_LENGTH }, () => RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)]).join("");
+  return `${characters.slice(0, 5)}-${characters.slice(5)}`;
+}
+
+// ----------------------------------------------Create----------------------------------------------------- //
+
+/**
+ * @returns {Promise<String[]>}
+ Generates a new set of single-use recovery codes, replacing any previous set. The plain codes are only returned
+ here; only their hashes are stored. Throws a 401 error if the user cannot be found.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+*/
+async function generateRecoveryCodes(userId) {
+  const user = await UsersRef.doc(userId).get();
+  if (!user.exists) {
+    throw AppError("USER_NOT_FOUND");
+  }
+
+  const codes = [];
+  while (codes.length < RECOVERY_CODE_COUNT) {
+    const code = randomCode();
+    if (!codes.includes(code)) {
+      codes.push(code);
+    }
+  }
+
+  await UsersRef.doc(userId).update({
+    recoveryCodes: {
+      hashes: codes.map((code) => hashCode(userId, code)),
+      generatedAt: storage.serverTimestamp()
+    }
+  });
+
+  return codes;
+}
+
+module.exports.create = {
+  generateRecoveryCodes
+};
+
+// ----------------------------------------------Read----------------------------------------------------- //
+
+/**
+ * @returns {Promise<Number>}
+ Number of unused recovery codes the user has left.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+*/
+async function getRemainingCount(userId) {
+  const user = await UsersRef.doc(userId).get();
+  const hashes = user.exists ? user.get("recoveryCodes.hashes") : undefined;
+  return Array.isArray(hashes) ? hashes.length : 0;
+}
+
+module.exports.read = {
+  getRemainingCount
+};
+
+// ----------------------------------------------Update----------------------------------------------------- //
+
+/**
+ * @returns {Promise<Number>}
+ Accepts a recovery code as a second factor and removes it so it cannot be used again. Returns the number of codes left.
+ Throws a 401 error if the code is not one of the user's unused codes.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} code - The recovery code as typed by the user; case, spaces and dashes are ignored.
+*/
+async function consumeRecoveryCode(userId, code) {
+  const ref = UsersRef.doc(userId);
+  const hash = hashCode(userId, code);
+
+  const result = await storage.runTransaction(async (transaction) => {
+    const user = await transaction.get(ref);
+    const hashes = (user.exists && user.get("recoveryCodes.hashes")) || [];
+    if (!hashes.includes(hash)) {
+      return { error: AppError("INVALID_CODE", { message: "Invalid recovery code." }) };
+    }
+
+    transaction.update(ref, { "recoveryCodes.hashes": storage.arrayRemove(hash) });
+    return { remaining: hashes.length - 1 };
+  });
+
+  if (result.error) {
+    throw result.error;
+  }
+  return result.remaining;
+}
+
+module.exports.update = {
+  consumeRecoveryCode
+};
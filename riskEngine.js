@@ -0,0 +1,266 @@
+const jwt = require("jsonwebtoken");
+const AuthMethods = require("./authMethods.js");
+const OrganizationDb = require("./organization.js");
+const AuditLogDb = require("./auditLog.js");
+const { getStorage } = require("./storage.js");
+
+/*
+Risk engine behind the "Smart" authentication method. Each login attempt is scored from signals the server already
+has or the client reports, and the score decides what the user has to do:
+  allow         - score below thresholds.allowBelow: no further factor, a successJWT is issued
+  stepUp        - the least intrusive available factor is enough
+  strongFactor  - score at or above thresholds.strongFactorFrom: only a strong factor is accepted
+Every signal that adds to the score is returned as a reason, so the decision can be explained to the user and audited.
+
+The Wi-Fi network, location and time zone are reported by the client and cannot be checked, so they can only add to
+the score. A sign-in is therefore only allowed without a factor from a known device: a browser holding the refresh
+token of one of the user's live sessions.
+
+Organizations can override any part of DEFAULT_RISK_POLICY with `riskPolicy` on their organization info.
+*/
+
+const DEFAULT_RISK_POLICY = {
+  thresholds: { allowBelow: 25, strongFactorFrom: 60 },
+  // points added by each signal; the score is capped at 100
+  weights: {
+    unknownDevice: 30,
+    unknownNetwork: 10,
+    ssidMismatch: 20,
+    ssidMissing: 10,
+    locationFar: 25, // farther than farDistanceKm from the last login
+    locationVeryFar: 40, // farther than veryFarDistanceKm
+    locationMissing: 10,
+    unusualTime: 10,
+    recentFailure: 10 // per failure, up to maxFailurePoints
+  },
+  farDistanceKm: 100,
+  veryFarDistanceKm: 1000,
+  maxFailurePoints: 30,
+  recentFailureWindowMinutes: 60,
+  usualHours: { start: 6, end: 23 }, // local time of the client, end exclusive
+  // factors ordered from least to most intrusive, and those accepted as strong
+  factorOrder: ["WebAuthn", "QR", "Geolocation", "SSID", "TOTP", "SMS"],
+  strongFactors: ["WebAuthn", "TOTP"]
+};
+
+const storage = getStorage();
+const UsersRef = storage.collection("Users");
+
+// ----------------------------------------------Helpers----------------------------------------------------- //
+
+/**
+ * @returns {Object}
+ The default policy with an organization's overrides merged in, one level deep.
+*/
+function resolvePolicy(overrides = {}) {
+  const policy = { ...DEFAULT_RISK_POLICY, ...overrides };
+  policy.thresholds = { ...DEFAULT_RISK_POLICY.thresholds, ...(overrides.thresholds || {}) };
+  policy.weights = { ...DEFAULT_RISK_POLICY.weights, ...(overrides.weights || {}) };
+  policy.usualHours = { ...DEFAULT_RISK_POLICY.usualHours, ...(overrides.usualHours || {}) };
+  return policy;
+}
+
+function distanceKm(from, to) {
+  const radians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = radians(to.latitude - from.latitude);
+  const dLon = radians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(radians(from.latitude)) * Math.cos(radians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function isLocation(value) {
+  return Boolean(value) && Number.isFinite(value.latitude) && Number.isFinite(value.longitude);
+}
+
+/**
+ * @returns {Boolean}
+ True if the refresh token cookie is the current refresh token of one of the user's sessions that has not expired or
+ been revoked (e.g. logged out). Unlike the user agent, it cannot be forged, so it is what makes a device "known".
+ * @param {String} refreshToken - The refreshToken cookie.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {Object[]} sessions - The user's session documents.
+*/
+function isKnownDevice(refreshToken, userId, sessions) {
+  if (!refreshToken) {
+    return false;
+  }
+  let data;
+  try {
+    data = jwt.verify(refreshToken, process.env.JWT_SECRET_KEY);
+  } catch (error) {
+    return false;
+  }
+  if (data.userId !== userId || data.isRefreshToken !== true) {
+    return false;
+  }
+
+  const session = sessions.find((candidate) => candidate.id === data.sid);
+  return (
+    Boolean(session) &&
+    !session.get("revoked") &&
+    session.get("expiresAt") > Date.now() &&
+    session.get("refreshTokenId") === data.jti
+  );
+}
+
+// ----------------------------------------------Scoring----------------------------------------------------- //
+
+/**
+ * @returns {Object}
+ Scores a login attempt as { score, reasons: [{ signal, points, detail }] }. Pure; does not read the database.
+ * @param {Object} signals - { knownDevice, knownNetwork, registeredSSIDs, ssid, lastLocation, location, localHour, recentFailures }
+ * @param {Object} policy - A resolved policy, see resolvePolicy.
+*/
+function scoreRisk(signals, policy) {
+  const { weights } = policy;
+  const reasons = [];
+  const add = (signal, points, detail) => {
+    if (points > 0) {
+      reasons.push({ signal, points, detail });
+    }
+  };
+
+  if (!signals.knownDevice) {
+    add("unknownDevice", weights.unknownDevice, "This browser is not signed in to this account.");
+  }
+  if (!signals.knownNetwork) {
+    add("unknownNetwork", weights.unknownNetwork, "The IP address has not been used by this account before.");
+  }
+
+  const registeredSSIDs = signals.registeredSSIDs || [];
+  if (registeredSSIDs.length > 0) {
+    if (!signals.ssid) {
+      add("ssidMissing", weights.ssidMissing, "No Wi-Fi network was reported.");
+    } else if (!registeredSSIDs.includes(signals.ssid)) {
+      add("ssidMismatch", weights.ssidMismatch, "The Wi-Fi network is not one of the registered networks.");
+    }
+  }
+
+  if (isLocation(signals.lastLocation)) {
+    if (!isLocation(signals.location)) {
+      add("locationMissing", weights.locationMissing, "No location was reported.");
+    } else {
+      const distance = Math.round(distanceKm(signals.lastLocation, signals.location));
+      if (distance > policy.veryFarDistanceKm) {
+        add("locationVeryFar", weights.locationVeryFar, `About ${distance} km from the last sign-in.`);
+      } else if (distance > policy.farDistanceKm) {
+        add("locationFar", weights.locationFar, `About ${distance} km from the last sign-in.`);
+      }
+    }
+  }
+
+  const { start, end } = policy.usualHours;
+  const usual = start <= end ? signals.localHour >= start && signals.localHour < end : signals.localHour >= start || signals.localHour < end;
+  if (Number.isInteger(signals.localHour) && !usual) {
+    add("unusualTime", weights.unusualTime, `Sign-in at ${signals.localHour}:00 local time is outside usual hours.`);
+  }
+
+  if (signals.recentFailures > 0) {
+    add(
+      "recentFailures",
+      Math.min(signals.recentFailures * weights.recentFailure, policy.maxFailurePoints),
+      `${signals.recentFailures} failed sign-in attempt(s) in the last ${policy.recentFailureWindowMinutes} minutes.`
+    );
+  }
+
+  const score = Math.min(reasons.reduce((total, reason) => total + reason.points, 0), 100);
+  return { score, reasons };
+}
+
+/**
+ * @returns {Object}
+ Turns a score into a decision and the factors the user may complete: { decision, methods }. A low score only allows
+ the sign-in from a known device, since the other signals are reported by the client; elsewhere the user steps up.
+ When a strong factor is required but the user has none, every available factor is offered so the user is not locked
+ out.
+ * @param {Number} score
+ * @param {Object} availableMethods - Map of method name to boolean, see AuthMethods.
+ * @param {Object} policy - A resolved policy, see resolvePolicy.
+ * @param {Boolean} knownDevice - Whether the request comes from a known device, see isKnownDevice.
+*/
+function decide(score, availableMethods, policy, knownDevice) {
+  const available = policy.factorOrder.filter((method) => availableMethods[method] === true);
+
+  if (score < policy.thresholds.allowBelow && knownDevice) {
+    return { decision: "allow", methods: [] };
+  }
+  if (score < policy.thresholds.strongFactorFrom) {
+    return { decision: "stepUp", methods: available.slice(0, 1) };
+  }
+
+  const strong = available.filter((method) => policy.strongFactors.includes(method));
+  return { decision: "strongFactor", methods: strong.length > 0 ? strong : available };
+}
+
+// ----------------------------------------------Read----------------------------------------------------- //
+
+/**
+ * @returns {Promise<Object>}
+ Evaluates a login attempt for the Smart method: { score, decision, methods, reasons }.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {Object} request - { ip, refreshToken, ssid, location: { latitude, longitude }, utcOffsetMinutes }
+ * @param {String} organizationId - Optional organization whose `riskPolicy` and auth method rules apply.
+*/
+async function evaluateLogin(userId, request, organizationId) {
+  let policy = resolvePolicy();
+  if (organizationId) {
+    const organizationInfo = await OrganizationDb.read.getOrganizationInfo(organizationId);
+    policy = resolvePolicy((organizationInfo && organizationInfo.riskPolicy) || {});
+  }
+
+  const user = await UsersRef.doc(userId).get();
+  const sessions = await UsersRef.doc(userId).collection("sessions").get();
+  const ips = new Set(sessions.docs.flatMap((session) => [session.get("ip"), session.get("lastSeenIp")]).filter(Boolean));
+
+  const since = Date.now() - policy.recentFailureWindowMinutes * 60 * 1000;
+  const recentFailures = await AuditLogDb.read.countRecentFailures(userId, since);
+
+  // the client's local hour, from its reported offset to UTC in minutes (as returned by -Date#getTimezoneOffset)
+  const offsetMinutes = Number.isFinite(request.utcOffsetMinutes) ? request.utcOffsetMinutes : 0;
+  const localHour = new Date(Date.now() + offsetMinutes * 60 * 1000).getUTCHours();
+
+  const signals = {
+    knownDevice: isKnownDevice(request.refreshToken, userId, sessions.docs),
+    knownNetwork: Boolean(request.ip) && ips.has(request.ip),
+    registeredSSIDs: [...(user.get("mobileSSIDs") || []), ...(user.get("desktopSSIDs") || [])],
+    ssid: request.ssid,
+    lastLocation: user.get("lastLoginLocation"),
+    location: request.location,
+    localHour: localHour,
+    recentFailures: recentFailures
+  };
+
+  const { score, reasons } = scoreRisk(signals, policy);
+  const availableMethods = await AuthMethods.getAvailableAuthMethods(userId, organizationId);
+  return { score, ...decide(score, availableMethods, policy, signals.knownDevice), reasons };
+}
+
+module.exports.read = {
+  evaluateLogin
+};
+
+// ----------------------------------------------Update----------------------------------------------------- //
+
+/**
+ * @returns {Promise}
+ Remembers where the user last completed a sign-in, the reference for the location signal.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {Object} location - { latitude, longitude }
+*/
+async function recordLoginLocation(userId, location) {
+  if (!isLocation(location)) {
+    return;
+  }
+  await UsersRef.doc(userId).update({
+    lastLoginLocation: { latitude: location.latitude, longitude: location.longitude, recordedAt: Date.now() }
+  });
+}
+
+module.exports.update = {
+  recordLoginLocation
+};
+
+module.exports.DEFAULT_RISK_POLICY = DEFAULT_RISK_POLICY;
+module.exports.resolvePolicy = resolvePolicy;
+module.exports.scoreRisk = scoreRisk;
+module.exports.decide = decide;
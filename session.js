@@ -0,0 +1,425 @@
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const { getStorage } = require("./storage.js");
+const { AppError } = require("./errors.js");
+
+const storage = getStorage();
+const UsersRef = storage.collection("Users");
+const RevokedAccessTokensRef = storage.collection("RevokedAccessTokens");
+const ConsumedSuccessJWTsRef = storage.collection("ConsumedSuccessJWTs");
+
+// Lifetimes in seconds. Access tokens are short lived and renewed with the rotating refresh token.
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 15 * 60;
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 7 * 24 * 60 * 60;
+const SUCCESS_JWT_TTL = 2 * 60;
+// Claim that sets a successJWT apart from the other tokens signed with JWT_SECRET_KEY
+const SUCCESS_JWT_PURPOSE = "secondFactor";
+// lastSeenAt is only written when it is older than this, so verifying a token does not write on every request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+// ----------------------------------------------Helpers----------------------------------------------------- //
+
+function newTokenId() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+function sessionRef(userId, sessionId) {
+  return UsersRef.doc(userId).collection("sessions").doc(sessionId);
+}
+
+/**
+ * @returns {String}
+ A short description such as "Chrome on Windows" for a user agent, used when the client does not name the device.
+*/
+function describeDevice(userAgent = "") {
+  const browsers = [["Edge", /Edg\//], ["Opera", /OPR\//], ["Chrome", /Chrome\//], ["Firefox", /Firefox\//], ["Safari", /Safari\//]];
+  const systems = [["Android", /Android/], ["iOS", /iPhone|iPad/], ["Windows", /Windows/], ["macOS", /Mac OS X/], ["Linux", /Linux/]];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+  if (!browser && !system) {
+    return "Unknown device";
+  }
+  return [browser ? browser[0] : "Browser", system ? `on ${system[0]}` : ""].join(" ").trim();
+}
+
+/**
+ * Records that a session was used, at most once per LAST_SEEN_RESOLUTION_MS.
+ */
+async function touchSession(ref, session, ip) {
+  if (Date.now() - (session.get("lastSeenAt") || 0) < LAST_SEEN_RESOLUTION_MS) {
+    return;
+  }
+  await ref.update({ lastSeenAt: Date.now(), lastSeenIp: ip || session.get("lastSeenIp") || null });
+}
+
+/**
+ * @returns {Object}
+ Signs an access/refresh token pair for a session. The refresh token's jti is the one the session expects next.
+*/
+function signTokens(userId, sessionId, refreshTokenId) {
+  const accessToken = jwt.sign(
+    { userId: userId, sid: sessionId, jti: newTokenId(), isAccessToken: true },
+    process.env.JWT_SECRET_KEY,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  const refreshToken = jwt.sign(
+    { userId: userId, sid: sessionId, jti: refreshTokenId, isRefreshToken: true },
+    process.env.JWT_SECRET_KEY,
+    { expiresIn: REFRESH_TOKEN_TTL }
+  );
+  return { accessToken, refreshToken, sessionId };
+}
+
+// ----------------------------------------------Create----------------------------------------------------- //
+
+/**
+ * @returns {Promise<Object>}
+ Starts a new 2FA session for the user and returns its { accessToken, refreshToken, sessionId }. The client details
+ are kept with the session so the user can recognize it in their session list.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {Object} client - Optional { ip, userAgent, device }; device defaults to a description of the user agent.
+*/
+async function createSession(userId, { ip, userAgent, device } = {}) {
+  const sessionId = newTokenId();
+  const refreshTokenId = newTokenId();
+  const now = Date.now();
+
+  await sessionRef(userId, sessionId).set({
+    createdAt: storage.serverTimestamp(),
+    expiresAt: now + REFRESH_TOKEN_TTL * 1000,
+    refreshTokenId: refreshTokenId,
+    revoked: false,
+    device: device || describeDevice(userAgent),
+    ip: ip || null,
+    userAgent: userAgent || null,
+    lastSeenAt: now,
+    lastSeenIp: ip || null
+  });
+
+  return signTokens(userId, sessionId, refreshTokenId);
+}
+
+/**
+ * @returns {String}
+ Signs the short-lived successJWT that proves the user completed a second factor. It is exchanged for a session
+ through /storeAccessToken, once (see consumeSuccessJWT).
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} factor - The method that was completed, e.g. "TOTP", or "Smart" when the risk engine allowed the
+ * sign-in without one.
+*/
+function signSuccessJWT(userId, factor) {
+  return jwt.sign(
+    { userId: userId, purpose: SUCCESS_JWT_PURPOSE, factor: factor, jti: newTokenId() },
+    process.env.JWT_SECRET_KEY,
+    { expiresIn: SUCCESS_JWT_TTL }
+  );
+}
+
+module.exports.create = {
+  createSession,
+  signSuccessJWT
+};
+
+// ----------------------------------------------Read----------------------------------------------------- //
+
+/**
+ * @returns {Promise<Object>}
+ Returns the decoded access token if it is valid, belongs to the user, has not been revoked and its session is active.
+ Updates the session's last-seen time. Throws a 401 error otherwise.
+ * @param {String} accessToken - The access token from the accessToken cookie.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} ip - Optional address of the client, recorded as the session's last-seen IP.
+*/
+async function verifyAccessToken(accessToken, userId, ip) {
+  let accessData;
+  try {
+    accessData = jwt.verify(accessToken, process.env.JWT_SECRET_KEY);
+  } catch (error) {
+    throw AppError("INVALID_ACCESS_TOKEN", { message: "Access token invalid." });
+  }
+
+  if (accessData.userId !== userId || !accessData.isAccessToken || !accessData.jti || !accessData.sid) {
+    throw AppError("INVALID_ACCESS_TOKEN", { message: "Access token invalid." });
+  }
+
+  const [revocation, session] = await storage.getAll(
+    RevokedAccessTokensRef.doc(accessData.jti),
+    sessionRef(userId, accessData.sid)
+  );
+  if (revocation.exists || !session.exists || session.get("revoked")) {
+    throw AppError("INVALID_ACCESS_TOKEN", { message: "Access token revoked." });
+  }
+
+  await touchSession(sessionRef(userId, accessData.sid), session, ip);
+  return accessData;
+}
+
+/**
+ * @returns {Promise<Object[]>}
+ Lists the user's active sessions, most recently used first, as { sessionId, device, ip, userAgent, createdAt,
+ lastSeenAt, lastSeenIp, expiresAt, current }. Revoked and expired sessions are left out.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} currentSessionId - The caller's own session, flagged as current.
+*/
+async function listSessions(userId, currentSessionId) {
+  const snapshot = await UsersRef.doc(userId).collection("sessions").where("revoked", "==", false).get();
+  const now = Date.now();
+
+  return snapshot.docs
+    .filter((session) => session.get("expiresAt") > now)
+    .map((session) => {
+      const createdAt = session.get("createdAt");
+      return {
+        sessionId: session.id,
+        device: session.get("device") || "Unknown device",
+        ip: session.get("ip") || null,
+        userAgent: session.get("userAgent") || null,
+        createdAt: createdAt ? createdAt.toDate().toISOString() : null,
+        lastSeenAt: session.get("lastSeenAt") ? new Date(session.get("lastSeenAt")).toISOString() : null,
+        lastSeenIp: session.get("lastSeenIp") || null,
+        expiresAt: new Date(session.get("expiresAt")).toISOString(),
+        current: session.id === currentSessionId
+      };
+    })
+    .sort((a, b) => (b.lastSeenAt || "").localeCompare(a.lastSeenAt || ""));
+}
+
+module.exports.read = {
+  verifyAccessToken,
+  listSessions
+};
+
+// ----------------------------------------------Update----------------------------------------------------- //
+
+/**
+ * @returns {Promise<Object>}
+ Exchanges a refresh token for a new access/refresh token pair. The used refresh token becomes invalid; presenting it
+ again is treated as theft and revokes the whole session. Throws a 401 error if the token is invalid or revoked.
+ * @param {String} refreshToken - The refresh token from the refreshToken cookie.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} ip - Optional address of the client, recorded as the session's last-seen IP.
+*/
+async function refreshSession(refreshToken, userId, ip) {
+  let refreshData;
+  try {
+    refreshData = jwt.verify(refreshToken, process.env.JWT_SECRET_KEY);
+  } catch (error) {
+    throw AppError("INVALID_REFRESH_TOKEN");
+  }
+
+  if (refreshData.userId !== userId || !refreshData.isRefreshToken) {
+    throw AppError("INVALID_REFRESH_TOKEN");
+  }
+
+  const ref = sessionRef(userId, refreshData.sid);
+  const result = await storage.runTransaction(async (transaction) => {
+    const session = await transaction.get(ref);
+    if (!session.exists || session.get("revoked")) {
+      return { error: AppError("SESSION_REVOKED") };
+    }
+
+    //a refresh token that was already rotated out is being reused, so revoke the session it belongs to
+    if (session.get("refreshTokenId") !== refreshData.jti) {
+      transaction.update(ref, { revoked: true, revokedAt: storage.serverTimestamp(), revokedReason: "refreshTokenReuse" });
+      return { error: AppError("REFRESH_TOKEN_REUSED") };
+    }
+
+    const refreshTokenId = newTokenId();
+    transaction.update(ref, {
+      refreshTokenId: refreshTokenId,
+      expiresAt: Date.now() + REFRESH_TOKEN_TTL * 1000,
+      lastSeenAt: Date.now(),
+      lastSeenIp: ip || session.get("lastSeenIp") || null
+    });
+    return { tokens: signTokens(userId, refreshData.sid, refreshTokenId) };
+  });
+
+  // thrown outside the transaction so that the reuse revocation is still committed
+  if (result.error) {
+    throw result.error;
+  }
+  return result.tokens;
+}
+
+/**
+ * @returns {Promise<Object>}
+ Verifies a successJWT and marks it used, so that it starts at most one session, and returns its claims. Access,
+ refresh and trustedDevice tokens are signed with the same key and are rejected here.
+ Throws a 401 error if the token is invalid, was already used or was issued to another user.
+ * @param {String} successJWT - The successJWT returned by a second factor.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+*/
+async function consumeSuccessJWT(successJWT, userId) {
+  let successData;
+  try {
+    successData = jwt.verify(successJWT, process.env.JWT_SECRET_KEY);
+  } catch (error) {
+    throw AppError("INVALID_SUCCESS_JWT");
+  }
+
+  if (
+    successData.purpose !== SUCCESS_JWT_PURPOSE ||
+    !successData.jti ||
+    successData.isAccessToken ||
+    successData.isRefreshToken ||
+    successData.isTrustedDevice
+  ) {
+    throw AppError("INVALID_SUCCESS_JWT");
+  }
+  if (successData.userId !== userId) {
+    throw AppError("USER_MISMATCH");
+  }
+
+  const ref = ConsumedSuccessJWTsRef.doc(successData.jti);
+  const result = await storage.runTransaction(async (transaction) => {
+    const consumed = await transaction.get(ref);
+    if (consumed.exists) {
+      return { error: AppError("INVALID_SUCCESS_JWT", { message: "Success JWT was already used." }) };
+    }
+    transaction.set(ref, { userId: userId, expiresAt: successData.exp * 1000 });
+    return {};
+  });
+
+  if (result.error) {
+    throw result.error;
+  }
+  return successData;
+}
+
+module.exports.update = {
+  refreshSession,
+  consumeSuccessJWT
+};
+
+// ----------------------------------------------Delete----------------------------------------------------- //
+
+/**
+ * @returns {Promise}
+ Adds an access token to the revocation list until it expires.
+ * @param {Object} accessData - The decoded access token.
+*/
+async function revokeAccessToken(accessData) {
+  await RevokedAccessTokensRef.doc(accessData.jti).set({
+    userId: accessData.userId,
+    expiresAt: accessData.exp * 1000
+  });
+}
+
+/**
+ * @returns {Promise<Boolean>}
+ Revokes a session so that neither its access tokens nor its refresh token are accepted again. Resolves false if the
+ session does not exist.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} sessionId - The sid claim of the session's tokens.
+ * @param {String} reason - Recorded as revokedReason, "logout" by default.
+*/
+async function revokeSession(userId, sessionId, reason = "logout") {
+  const ref = sessionRef(userId, sessionId);
+  const session = await ref.get();
+  if (!session.exists) {
+    return false;
+  }
+  await ref.update({ revoked: true, revokedAt: storage.serverTimestamp(), revokedReason: reason });
+  return true;
+}
+
+/**
+ * @returns {Promise<Number>}
+ Revokes every active session of the user except one, e.g. "sign out everywhere else". Returns how many were revoked.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} keepSessionId - The session to keep, usually the caller's own. Omit it to revoke all sessions.
+ * @param {String} reason - Recorded as revokedReason.
+*/
+async function revokeOtherSessions(userId, keepSessionId, reason = "revokedByUser") {
+  const snapshot = await UsersRef.doc(userId).collection("sessions").where("revoked", "==", false).get();
+  const sessions = snapshot.docs.filter((session) => session.id !== keepSessionId);
+
+  // Firestore allows 500 writes per batch
+  for (let i = 0; i < sessions.length; i += 400) {
+    const batch = storage.batch();
+    sessions.slice(i, i + 400).forEach((session) => {
+      batch.update(session.ref, { revoked: true, revokedAt: storage.serverTimestamp(), revokedReason: reason });
+    });
+    await batch.commit();
+  }
+  return sessions.length;
+}
+
+/**
+ * @returns {Promise}
+ Ends the session identified by either token from the caller's cookies. Invalid or expired tokens are ignored,
+ since the cookies are cleared regardless.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {Object} cookies - { accessToken, refreshToken }
+*/
+async function endSession(userId, { accessToken, refreshToken }) {
+  const decoded = [accessToken, refreshToken]
+    .map((token) => {
+      try {
+        return jwt.verify(token, process.env.JWT_SECRET_KEY);
+      } catch (error) {
+        return undefined;
+      }
+    })
+    .filter((data) => data && data.userId === userId && data.sid);
+
+  const accessData = decoded.find((data) => data.isAccessToken);
+  if (accessData) {
+    await revokeAccessToken(accessData);
+  }
+
+  for (const sessionId of new Set(decoded.map((data) => data.sid))) {
+    await revokeSession(userId, sessionId);
+  }
+}
+
+// Firestore allows 500 writes per batch
+async function deleteEntries(entries) {
+  for (let i = 0; i < entries.length; i += 400) {
+    const batch = storage.batch();
+    entries.slice(i, i + 400).forEach((entry) => batch.delete(entry.ref));
+    await batch.commit();
+  }
+  return entries.length;
+}
+
+/**
+ * @returns {Promise<Number>}
+ Deletes the revocation entries of access tokens and the records of used successJWTs once the tokens have expired
+ on their own, and returns how many were deleted. Run periodically by maintenance.js.
+*/
+async function deleteExpiredRevocations() {
+  const now = Date.now();
+  const [revocations, consumed] = await Promise.all([
+    RevokedAccessTokensRef.where("expiresAt", "<", now).get(),
+    ConsumedSuccessJWTsRef.where("expiresAt", "<", now).get()
+  ]);
+  return deleteEntries([...revocations.docs, ...consumed.docs]);
+}
+
+/**
+ * @returns {Promise<Number>}
+ Deletes every revocation entry and used successJWT record of the user, whether expired or not, and returns how many
+ were deleted. Used when the account is deleted.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+*/
+async function deleteUserTokenRecords(userId) {
+  const [revocations, consumed] = await Promise.all([
+    RevokedAccessTokensRef.where("userId", "==", userId).get(),
+    ConsumedSuccessJWTsRef.where("userId", "==", userId).get()
+  ]);
+  return deleteEntries([...revocations.docs, ...consumed.docs]);
+}
+
+module.exports.delete = {
+  revokeAccessToken,
+  revokeSession,
+  revokeOtherSessions,
+  endSession,
+  deleteExpiredRevocations,
+  deleteUserTokenRecords
+};
+
+module.exports.ACCESS_TOKEN_TTL = ACCESS_TOKEN_TTL;
+module.exports.REFRESH_TOKEN_TTL = REFRESH_TOKEN_TTL;
+module.exports.describeDevice = describeDevice;
@@ -0,0 +1,104 @@
+const fs = require("fs");
+const { logger } = require("./logger.js");
+
+/*
+Providers that deliver SMS messages. A provider is an object with:
+  name                      - identifies the provider in logs
+  sendSms(to, body)         -> Promise resolving once the message has been handed off
+Select one with SMS_PROVIDER=twilio|console|file. Twilio is the default in production and the console provider
+everywhere else, so development never sends real messages by accident.
+*/
+
+const TWILIO = "twilio";
+const CONSOLE = "console";
+const FILE = "file";
+
+/**
+ * @returns {Object}
+ Sends messages through Twilio using TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER.
+*/
+function createTwilioProvider() {
+  const twilio = require("twilio");
+  const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+
+  return {
+    name: TWILIO,
+    sendSms: async (to, body) => {
+      await client.messages.create({ to: to, from: process.env.TWILIO_PHONE_NUMBER, body: body });
+    }
+  };
+}
+
+/**
+ * @returns {Object}
+ Logs each message instead of sending it. For local development only. Only the masked recipient and the length are
+ logged at info, since bodies carry one-time codes; set SMS_CONSOLE_LOG_BODY=true to also log the body at debug.
+*/
+function createConsoleProvider(logBody = process.env.SMS_CONSOLE_LOG_BODY === "true") {
+  return {
+    name: CONSOLE,
+    sendSms: async (to, body) => {
+      const recipient = `${"*".repeat(Math.max(to.length - 2, 0))}${to.slice(-2)}`;
+      logger.info("SMS sent", { provider: CONSOLE, to: recipient, length: body.length });
+      if (logBody) {
+        logger.debug(`SMS: ${body}`, { provider: CONSOLE, to: recipient });
+      }
+    }
+  };
+}
+
+/**
+ * @returns {Object}
+ Appends each message as a JSON line to SMS_OUTBOX_FILE (default sms-outbox.log), so tests and local tools can read them.
+*/
+function createFileProvider(path = process.env.SMS_OUTBOX_FILE || "sms-outbox.log") {
+  return {
+    name: FILE,
+    path: path,
+    sendSms: async (to, body) => {
+      await fs.promises.appendFile(path, JSON.stringify({ to: to, body: body, sentAt: new Date().toISOString() }) + "\n");
+    }
+  };
+}
+
+let provider;
+
+/**
+ * @returns {Object}
+ Returns the provider selected by SMS_PROVIDER.
+*/
+function getSmsProvider() {
+  if (!provider) {
+    const name = process.env.SMS_PROVIDER || (process.env.NODE_ENV === "production" ? TWILIO : CONSOLE);
+    switch (name) {
+      case TWILIO:
+        provider = createTwilioProvider();
+        break;
+      case FILE:
+        provider = createFileProvider();
+        break;
+      case CONSOLE:
+        provider = createConsoleProvider();
+        break;
+      default:
+        throw new Error(`Unknown SMS provider ${name}`);
+    }
+  }
+  return provider;
+}
+
+/**
+ * Replaces the provider, e.g. with a stub in tests.
+ * @param {Object} smsProvider - An object implementing sendSms(to, body).
+ */
+function setSmsProvider(smsProvider) {
+  provider = smsProvider;
+}
+
+module.exports = {
+  createTwilioProvider,
+  createConsoleProvider,
+  createFileProvider,
+  getSmsProvider,
+  setSmsProvider
+};
@@ -0,0 +1,769 @@
+const crypto = require("crypto");
+
+/*
+Storage adapters used by the user database layer.
+
+An adapter exposes the subset of the Firestore Admin API that the database modules rely on:
+  collection(path)          -> CollectionReference (doc, where, orderBy, limit, startAfter, get, add)
+  runTransaction(fn)        -> runs fn(transaction) atomically and resolves with its result
+  batch()                   -> WriteBatch (set, create, update, delete, commit)
+  getAll(...refs)           -> DocumentSnapshot[]
+  serverTimestamp(), deleteField(), increment(n), arrayUnion(...values), arrayRemove(...values)
+  deleteAuthUser(uid)       -> removes the Firebase Auth account, resolving if it does not exist
+  getAuthUserByEmail(email) -> { uid, providers, emailVerified } of the Firebase Auth account with that email, or undefined
+  linkAuthProvider(uid, provider) -> links { providerId, uid, email, displayName } of an identity provider to the account
+  getAuthUser(uid)          -> { uid, providers, tokensValidAfterTime } of the Firebase Auth account, or undefined;
+                               tokensValidAfterTime (ms) moves forward when the password changes or tokens are revoked
+
+The Firestore adapter delegates to the configured Firebase project. The memory adapter keeps every
+collection in process memory so the routes and middleware can run locally and in tests without one.
+Set USER_STORAGE=memory to select it; the adapter must be chosen before the database modules are loaded.
+To use the Firebase Auth emulator with the Firestore adapter, set FIREBASE_AUTH_EMULATOR_HOST; the Admin SDK then
+accepts the emulator's tokens and looks accounts up there.
+*/
+
+const FIRESTORE = "firestore";
+const MEMORY = "memory";
+
+// ----------------------------------------------Firestore----------------------------------------------------- //
+
+/**
+ * @returns {Object}
+ Creates the adapter backed by the Firestore database from the Firebase Admin SDK.
+*/
+function createFirestoreStorage() {
+  const { admin, database } = require("../firebaseconfig/firebase_config");
+  const { FieldValue } = admin.firestore;
+
+  return {
+    name: FIRESTORE,
+    collection: (path) => database.collection(path),
+    runTransaction: (updateFunction) => database.runTransaction(updateFunction),
+    batch: () => database.batch(),
+    getAll: (...refs) => (refs.length > 0 ? database.getAll(...refs) : Promise.resolve([])),
+    serverTimestamp: () => FieldValue.serverTimestamp(),
+    deleteField: () => FieldValue.delete(),
+    increment: (amount) => FieldValue.increment(amount),
+    arrayUnion: (...values) => FieldValue.arrayUnion(...values),
+    arrayRemove: (...values) => FieldValue.arrayRemove(...values),
+    deleteAuthUser: async (uid) => {
+      try {
+        await admin.auth().deleteUser(uid);
+      } catch (error) {
+        if (error.code !== "auth/user-not-found") {
+          throw error;
+        }
+      }
+    },
+    getAuthUserByEmail: async (email) => {
+      try {
+        const account = await admin.auth().getUserByEmail(email);
+        return {
+          uid: account.uid,
+          providers: account.providerData.map((provider) => provider.providerId),
+          emailVerified: account.emailVerified
+        };
+      } catch (error) {
+        if (error.code !== "auth/user-not-found") {
+          throw error;
+        }
+        return undefined;
+      }
+    },
+    linkAuthProvider: async (uid, provider) => {
+      await admin.auth().updateUser(uid, { providerToLink: provider });
+    },
+    getAuthUser: async (uid) => {
+      try {
+        const account = await admin.auth().getUser(uid);
+        return {
+          uid: account.uid,
+          providers: account.providerData.map((provider) => provider.providerId),
+          tokensValidAfterTime: account.tokensValidAfterTime ? Date.parse(account.tokensValidAfterTime) : 0
+        };
+      } catch (error) {
+        if (error.code !== "auth/user-not-found") {
+          throw error;
+        }
+        return undefined;
+      }
+    }
+  };
+}
+
+// ----------------------------------------------Memory----------------------------------------------------- //
+
+/**
+ * Timestamp stored by the memory adapter. Mirrors the parts of Firestore's Timestamp used by the database layer.
+ */
+class MemoryTimestamp {
+  constructor(millis) {
+    this._millis = millis;
+  }
+
+  static now() {
+    return new MemoryTimestamp(Date.now());
+  }
+
+  get seconds() {
+    return Math.floor(this._millis / 1000);
+  }
+
+  get nanoseconds() {
+    return (this._millis % 1000) * 1e6;
+  }
+
+  toMillis() {
+    return this._millis;
+  }
+
+  toDate() {
+    return new Date(this._millis);
+  }
+
+  isEqual(other) {
+    return other instanceof MemoryTimestamp && other._millis === this._millis;
+  }
+
+  valueOf() {
+    return this._millis;
+  }
+}
+
+/**
+ * Placeholder written in place of a value that is resolved when the write is applied (server timestamps, deletes, etc.).
+ */
+class MemoryFieldValue {
+  constructor(kind, operand) {
+    this.kind = kind;
+    this.operand = operand;
+  }
+}
+
+/**
+ * Error thrown by the memory adapter, using the same gRPC status codes as Firestore.
+ */
+function storageError(code, status, message) {
+  const error = new Error(`${code} ${status}: ${message}`);
+  error.code = code;
+  return error;
+}
+
+function clone(value) {
+  if (value instanceof MemoryTimestamp) {
+    return new MemoryTimestamp(value.toMillis());
+  }
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.from(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value && typeof value === "object" && !(value instanceof MemoryFieldValue)) {
+    const copy = {};
+    for (const key of Object.keys(value)) {
+      copy[key] = clone(value[key]);
+    }
+    return copy;
+  }
+  return value;
+}
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof MemoryTimestamp) &&
+    !(value instanceof MemoryFieldValue) &&
+    !(value instanceof Date) &&
+    !Buffer.isBuffer(value)
+  );
+}
+
+function comparable(value) {
+  if (value instanceof MemoryTimestamp) {
+    return value.toMillis();
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return value;
+}
+
+function isEqualValue(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left !== null && right !== null && typeof left === "object" && typeof right === "object") {
+    return JSON.stringify(left) === JSON.stringify(right);
+  }
+  return left === right;
+}
+
+function compareValues(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) {
+    return 0;
+  }
+  if (left === undefined || left === null) {
+    return -1;
+  }
+  if (right === undefined || right === null) {
+    return 1;
+  }
+  return left < right ? -1 : 1;
+}
+
+function getField(data, fieldPath) {
+  return fieldPath.split(".").reduce((value, key) => (value && typeof value === "object" ? value[key] : undefined), data);
+}
+
+const DELETED = Symbol("deleted");
+
+/**
+ * Resolves a placeholder against the value currently stored in that field.
+ */
+function resolveFieldValue(value, current) {
+  if (!(value instanceof MemoryFieldValue)) {
+    if (isPlainObject(value)) {
+      const resolved = {};
+      for (const key of Object.keys(value)) {
+        const fieldValue = resolveFieldValue(value[key], isPlainObject(current) ? current[key] : undefined);
+        if (fieldValue !== DELETED) {
+          resolved[key] = fieldValue;
+        }
+      }
+      return resolved;
+    }
+    return clone(value);
+  }
+
+  switch (value.kind) {
+    case "serverTimestamp":
+      return MemoryTimestamp.now();
+    case "delete":
+      return DELETED;
+    case "increment":
+      return (typeof current === "number" ? current : 0) + value.operand;
+    case "arrayUnion": {
+      const result = Array.isArray(current) ? clone(current) : [];
+      value.operand.forEach((element) => {
+        if (!result.some((existing) => isEqualValue(existing, element))) {
+          result.push(clone(element));
+        }
+      });
+      return result;
+    }
+    case "arrayRemove": {
+      const result = Array.isArray(current) ? clone(current) : [];
+      return result.filter((existing) => !value.operand.some((element) => isEqualValue(existing, element)));
+    }
+    default:
+      throw new Error(`Unknown field value ${value.kind}`);
+  }
+}
+
+function setField(data, fieldPath, value) {
+  const keys = fieldPath.split(".");
+  let target = data;
+  keys.slice(0, -1).forEach((key) => {
+    if (!isPlainObject(target[key])) {
+      target[key] = {};
+    }
+    target = target[key];
+  });
+  const last = keys[keys.length - 1];
+  const resolved = resolveFieldValue(value, target[last]);
+  if (resolved === DELETED) {
+    delete target[last];
+  } else {
+    target[last] = resolved;
+  }
+}
+
+function mergeFields(target, source) {
+  for (const key of Object.keys(source)) {
+    if (isPlainObject(source[key]) && isPlainObject(target[key])) {
+      mergeFields(target[key], source[key]);
+    } else {
+      const resolved = resolveFieldValue(source[key], target[key]);
+      if (resolved === DELETED) {
+        delete target[key];
+      } else {
+        target[key] = resolved;
+      }
+    }
+  }
+  return target;
+}
+
+/**
+ * Snapshot of a single document returned by the memory adapter.
+ */
+class MemoryDocumentSnapshot {
+  constructor(ref, data, converter) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+    this._converter = converter;
+  }
+
+  get(fieldPath) {
+    return this.exists ? clone(getField(this._data, fieldPath)) : undefined;
+  }
+
+  data() {
+    if (!this.exists) {
+      return undefined;
+    }
+    if (this._converter) {
+      return this._converter.fromFirestore(new MemoryDocumentSnapshot(this.ref, this._data), {});
+    }
+    return clone(this._data);
+  }
+}
+
+/**
+ * Snapshot of a query returned by the memory adapter.
+ */
+class MemoryQuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+/**
+ * Query over a single collection. Supports where, orderBy, limit and startAfter.
+ */
+class MemoryQuery {
+  constructor(store, path, options = {}) {
+    this._store = store;
+    this._path = path;
+    this._filters = options.filters || [];
+    this._orders = options.orders || [];
+    this._limit = options.limit;
+    this._startAfter = options.startAfter;
+    this._converter = options.converter;
+  }
+
+  _with(options) {
+    return new MemoryQuery(this._store, this._path, {
+      filters: this._filters,
+      orders: this._orders,
+      limit: this._limit,
+      startAfter: this._startAfter,
+      converter: this._converter,
+      ...options
+    });
+  }
+
+  where(fieldPath, op, value) {
+    return this._with({ filters: [...this._filters, { fieldPath, op, value }] });
+  }
+
+  orderBy(fieldPath, direction = "asc") {
+    return this._with({ orders: [...this._orders, { fieldPath, direction }] });
+  }
+
+  limit(count) {
+    return this._with({ limit: count });
+  }
+
+  startAfter(...values) {
+    if (values.length === 1 && values[0] instanceof MemoryDocumentSnapshot) {
+      const snapshot = values[0];
+      values = this._orders.map(({ fieldPath }) => (fieldPath === "__name__" ? snapshot.id : snapshot.get(fieldPath)));
+    }
+    return this._with({ startAfter: values });
+  }
+
+  withConverter(converter) {
+    return this._with({ converter });
+  }
+
+  async get() {
+    const documents = this._store.documents(this._path);
+    // like Firestore, a query ordered by a field only returns documents that have it
+    let entries = [...documents.entries()].filter(
+      ([id, data]) =>
+        this._filters.every((filter) => matches(id, data, filter)) &&
+        this._orders.every(({ fieldPath }) => fieldPath === "__name__" || getField(data, fieldPath) !== undefined)
+    );
+
+    entries.sort(([idA, dataA], [idB, dataB]) => {
+      for (const { fieldPath, direction } of this._orders) {
+        const result =
+          fieldPath === "__name__"
+            ? compareValues(idA, idB)
+            : compareValues(getField(dataA, fieldPath), getField(dataB, fieldPath));
+        if (result !== 0) {
+          return direction === "desc" ? -result : result;
+        }
+      }
+      return compareValues(idA, idB);
+    });
+
+    if (this._startAfter) {
+      entries = entries.filter(([id, data]) => {
+        for (let i = 0; i < this._startAfter.length && i < this._orders.length; i++) {
+          const { fieldPath, direction } = this._orders[i];
+          const value = fieldPath === "__name__" ? id : getField(data, fieldPath);
+          const result = compareValues(value, this._startAfter[i]);
+          if (result !== 0) {
+            return direction === "desc" ? result < 0 : result > 0;
+          }
+        }
+        return false;
+      });
+    }
+
+    if (this._limit !== undefined) {
+      entries = entries.slice(0, this._limit);
+    }
+
+    return new MemoryQuerySnapshot(
+      entries.map(
+        ([id, data]) =>
+          new MemoryDocumentSnapshot(new MemoryDocumentReference(this._store, this._path, id, this._converter), clone(data), this._converter)
+      )
+    );
+  }
+}
+
+function matches(id, data, { fieldPath, op, value }) {
+  const fieldValue = fieldPath === "__name__" ? id : getField(data, fieldPath);
+  switch (op) {
+    case "==":
+      return isEqualValue(fieldValue, value);
+    case "!=":
+      return fieldValue !== undefined && !isEqualValue(fieldValue, value);
+    case "<":
+      return fieldValue !== undefined && compareValues(fieldValue, value) < 0;
+    case "<=":
+      return fieldValue !== undefined && compareValues(fieldValue, value) <= 0;
+    case ">":
+      return fieldValue !== undefined && compareValues(fieldValue, value) > 0;
+    case ">=":
+      return fieldValue !== undefined && compareValues(fieldValue, value) >= 0;
+    case "in":
+      return value.some((candidate) => isEqualValue(fieldValue, candidate));
+    case "not-in":
+      return fieldValue !== undefined && !value.some((candidate) => isEqualValue(fieldValue, candidate));
+    case "array-contains":
+      return Array.isArray(fieldValue) && fieldValue.some((element) => isEqualValue(element, value));
+    case "array-contains-any":
+      return Array.isArray(fieldValue) && fieldValue.some((element) => value.some((candidate) => isEqualValue(element, candidate)));
+    default:
+      throw new Error(`Unsupported query operator ${op}`);
+  }
+}
+
+/**
+ * Collection reference returned by the memory adapter.
+ */
+class MemoryCollectionReference extends MemoryQuery {
+  constructor(store, path, converter) {
+    super(store, path, { converter });
+    this.path = path;
+    this.id = path.split("/").pop();
+  }
+
+  doc(id = crypto.randomBytes(10).toString("hex")) {
+    return new MemoryDocumentReference(this._store, this.path, id, this._converter);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+
+  async listDocuments() {
+    return [...this._store.documents(this.path).keys()].map((id) => this.doc(id));
+  }
+
+  withConverter(converter) {
+    return new MemoryCollectionReference(this._store, this.path, converter);
+  }
+}
+
+/**
+ * Document reference returned by the memory adapter.
+ */
+class MemoryDocumentReference {
+  constructor(store, collectionPath, id, converter) {
+    this._store = store;
+    this._converter = converter;
+    this.id = id;
+    this.path = `${collectionPath}/${id}`;
+    this.parent = { id: collectionPath.split("/").pop(), path: collectionPath };
+  }
+
+  collection(name) {
+    return new MemoryCollectionReference(this._store, `${this.path}/${name}`);
+  }
+
+  withConverter(converter) {
+    return new MemoryDocumentReference(this._store, this.parent.path, this.id, converter);
+  }
+
+  async listCollections() {
+    return this._store.subcollections(this.path).map((name) => this.collection(name));
+  }
+
+  async get() {
+    return new MemoryDocumentSnapshot(this, clone(this._store.read(this)), this._converter);
+  }
+
+  set(data, options) {
+    return this._store.write([{ type: "set", ref: this, data: this._toFirestore(data), options }]);
+  }
+
+  create(data) {
+    return this._store.write([{ type: "create", ref: this, data: this._toFirestore(data) }]);
+  }
+
+  update(data) {
+    return this._store.write([{ type: "update", ref: this, data }]);
+  }
+
+  delete() {
+    return this._store.write([{ type: "delete", ref: this }]);
+  }
+
+  _toFirestore(data) {
+    return this._converter ? this._converter.toFirestore(data) : data;
+  }
+}
+
+/**
+ * Buffers writes and applies them together. Used for both batches and transactions.
+ */
+class MemoryWriteBatch {
+  constructor(store) {
+    this._store = store;
+    this._operations = [];
+  }
+
+  set(ref, data, options) {
+    this._operations.push({ type: "set", ref, data: ref._toFirestore(data), options });
+    return this;
+  }
+
+  create(ref, data) {
+    this._operations.push({ type: "create", ref, data: ref._toFirestore(data) });
+    return this;
+  }
+
+  update(ref, data) {
+    this._operations.push({ type: "update", ref, data });
+    return this;
+  }
+
+  delete(ref) {
+    this._operations.push({ type: "delete", ref });
+    return this;
+  }
+
+  async commit() {
+    const result = await this._store.write(this._operations);
+    return this._operations.map(() => result);
+  }
+}
+
+/**
+ * Transaction handed to runTransaction callbacks by the memory adapter.
+ */
+class MemoryTransaction extends MemoryWriteBatch {
+  get(refOrQuery) {
+    return refOrQuery.get();
+  }
+
+  getAll(...refs) {
+    return Promise.all(refs.map((ref) => ref.get()));
+  }
+}
+
+/**
+ * In-process document store. Collections are keyed by their full path, so "Users/abc/devices" is the
+ * devices subcollection of user abc.
+ */
+class MemoryStore {
+  constructor() {
+    this._collections = new Map();
+    this._lock = Promise.resolve();
+  }
+
+  documents(collectionPath) {
+    return this._collections.get(collectionPath) || new Map();
+  }
+
+  subcollections(documentPath) {
+    const prefix = `${documentPath}/`;
+    const names = [];
+    for (const [path, documents] of this._collections) {
+      const name = path.slice(prefix.length);
+      if (path.startsWith(prefix) && !name.includes("/") && documents.size > 0) {
+        names.push(name);
+      }
+    }
+    return names;
+  }
+
+  read(ref) {
+    return this.documents(ref.parent.path).get(ref.id);
+  }
+
+  /**
+   * Applies every operation or none of them.
+   */
+  async write(operations) {
+    const backup = new Map([...this._collections].map(([path, documents]) => [path, new Map(documents)]));
+    try {
+      operations.forEach((operation) => this._apply(operation));
+    } catch (error) {
+      this._collections = backup;
+      throw error;
+    }
+    return { writeTime: MemoryTimestamp.now() };
+  }
+
+  _apply({ type, ref, data, options }) {
+    const collectionPath = ref.parent.path;
+    if (!this._collections.has(collectionPath)) {
+      this._collections.set(collectionPath, new Map());
+    }
+    const documents = this._collections.get(collectionPath);
+    const existing = documents.get(ref.id);
+
+    switch (type) {
+      case "create":
+        if (existing !== undefined) {
+          throw storageError(6, "ALREADY_EXISTS", `Document already exists: ${ref.path}`);
+        }
+        documents.set(ref.id, resolveFieldValue(data, undefined));
+        break;
+      case "set":
+        if (options && options.merge && existing !== undefined) {
+          documents.set(ref.id, mergeFields(clone(existing), data));
+        } else {
+          documents.set(ref.id, resolveFieldValue(data, undefined));
+        }
+        break;
+      case "update": {
+        if (existing === undefined) {
+          throw storageError(5, "NOT_FOUND", `No document to update: ${ref.path}`);
+        }
+        const updated = clone(existing);
+        Object.keys(data).forEach((fieldPath) => setField(updated, fieldPath, data[fieldPath]));
+        documents.set(ref.id, updated);
+        break;
+      }
+      case "delete":
+        documents.delete(ref.id);
+        break;
+      default:
+        throw new Error(`Unknown write ${type}`);
+    }
+  }
+
+  /**
+   * Runs transactions one after another so that reads inside a transaction cannot interleave with another one.
+   */
+  runTransaction(updateFunction) {
+    const run = this._lock.then(async () => {
+      const transaction = new MemoryTransaction(this);
+      const result = await updateFunction(transaction);
+      await transaction.commit();
+      return result;
+    });
+    this._lock = run.catch(() => {});
+    return run;
+  }
+
+  reset() {
+    this._collections = new Map();
+  }
+}
+
+/**
+ * @returns {Object}
+ Creates an adapter that keeps every collection in process memory.
+*/
+function createMemoryStorage() {
+  const store = new MemoryStore();
+  const deletedAuthUsers = new Set();
+  // email -> { uid, providers, emailVerified, tokensValidAfterTime }; tests add the Firebase Auth accounts they need
+  const authUsers = new Map();
+
+  return {
+    name: MEMORY,
+    collection: (path) => new MemoryCollectionReference(store, path),
+    runTransaction: (updateFunction) => store.runTransaction(updateFunction),
+    batch: () => new MemoryWriteBatch(store),
+    getAll: (...refs) => Promise.all(refs.map((ref) => ref.get())),
+    serverTimestamp: () => new MemoryFieldValue("serverTimestamp"),
+    deleteField: () => new MemoryFieldValue("delete"),
+    increment: (amount) => new MemoryFieldValue("increment", amount),
+    arrayUnion: (...values) => new MemoryFieldValue("arrayUnion", values),
+    arrayRemove: (...values) => new MemoryFieldValue("arrayRemove", values),
+    // There are no Firebase Auth accounts without a Firebase project; record the deletion for tests instead.
+    deletedAuthUsers: deletedAuthUsers,
+    deleteAuthUser: async (uid) => {
+      deletedAuthUsers.add(uid);
+    },
+    authUsers: authUsers,
+    getAuthUserByEmail: async (email) => authUsers.get(email),
+    linkAuthProvider: async (uid, provider) => {
+      const account = [...authUsers.values()].find((candidate) => candidate.uid === uid);
+      account.providers = [...account.providers, provider.providerId];
+    },
+    getAuthUser: async (uid) => [...authUsers.values()].find((account) => account.uid === uid),
+    // Removes every document, used between tests.
+    reset: () => store.reset()
+  };
+}
+
+// ----------------------------------------------Selection----------------------------------------------------- //
+
+let storage;
+
+/**
+ * @returns {Object}
+ Returns the adapter used by the database modules. Defaults to Firestore unless USER_STORAGE=memory.
+*/
+function getStorage() {
+  if (!storage) {
+    storage = process.env.USER_STORAGE === MEMORY ? createMemoryStorage() : createFirestoreStorage();
+  }
+  return storage;
+}
+
+/**
+ * Replaces the adapter used by the database modules. Must be called before they are loaded.
+ * @param {Object} adapter - An adapter created by createFirestoreStorage/createMemoryStorage or a compatible object.
+ */
+function setStorage(adapter) {
+  storage = adapter;
+}
+
+module.exports = {
+  FIRESTORE,
+  MEMORY,
+  MemoryTimestamp,
+  createFirestoreStorage,
+  createMemoryStorage,
+  getStorage,
+  setStorage
+};
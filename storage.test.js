@@ -0,0 +1,186 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const { createMemoryStorage } = require("./storage.js");
+
+/*
+Tests of the memory storage adapter, run with `node --test`. The database modules rely on it behaving like Firestore
+for transactions, cursor pagination and subcollections.
+*/
+
+let storage;
+
+beforeEach(() => {
+  storage = createMemoryStorage();
+});
+
+describe("memory storage transactions", () => {
+  it("commits the writes of a transaction and resolves with its result", async () => {
+    const ref = storage.collection("Counters").doc("a");
+    await ref.set({ count: 1 });
+
+    const result = await storage.runTransaction(async (transaction) => {
+      const counter = await transaction.get(ref);
+      transaction.update(ref, { count: counter.get("count") + 1 });
+      return "done";
+    });
+
+    assert.strictEqual(result, "done");
+    assert.strictEqual((await ref.get()).get("count"), 2);
+  });
+
+  it("discards every write of a transaction that throws", async () => {
+    const ref = storage.collection("Counters").doc("a");
+    await ref.set({ count: 1 });
+
+    await assert.rejects(
+      storage.runTransaction(async (transaction) => {
+        transaction.update(ref, { count: 2 });
+        transaction.set(storage.collection("Counters").doc("b"), { count: 1 });
+        throw new Error("aborted");
+      }),
+      /aborted/
+    );
+
+    assert.strictEqual((await ref.get()).get("count"), 1);
+    assert.strictEqual((await storage.collection("Counters").doc("b").get()).exists, false);
+  });
+
+  it("applies none of the writes if one of them fails", async () => {
+    const existing = storage.collection("Usernames").doc("taken");
+    await existing.create({ userId: "u1" });
+
+    await assert.rejects(
+      storage.runTransaction(async (transaction) => {
+        transaction.set(storage.collection("Users").doc("u2"), { username: "taken" });
+        transaction.create(existing, { userId: "u2" });
+      }),
+      (error) => error.code === 6
+    );
+
+    assert.strictEqual((await storage.collection("Users").doc("u2").get()).exists, false);
+    assert.strictEqual((await existing.get()).get("userId"), "u1");
+  });
+
+  it("runs concurrent transactions one after another", async () => {
+    const ref = storage.collection("Counters").doc("a");
+    await ref.set({ count: 0 });
+
+    await Promise.all(
+      Array.from({ length: 10 }, () =>
+        storage.runTransaction(async (transaction) => {
+          const counter = await transaction.get(ref);
+          await new Promise((resolve) => setImmediate(resolve));
+          transaction.update(ref, { count: counter.get("count") + 1 });
+        })
+      )
+    );
+
+    assert.strictEqual((await ref.get()).get("count"), 10);
+  });
+
+  it("rejects an update of a missing document with NOT_FOUND", async () => {
+    await assert.rejects(
+      storage.runTransaction(async (transaction) => {
+        transaction.update(storage.collection("Users").doc("missing"), { name: "x" });
+      }),
+      (error) => error.code === 5
+    );
+  });
+});
+
+describe("memory storage cursors", () => {
+  beforeEach(async () => {
+    const links = storage.collection("Links");
+    for (const [id, linkedAt] of [["d", 4], ["a", 1], ["c", 3], ["b", 3], ["e", undefined]]) {
+      await links.doc(id).set(linkedAt === undefined ? { name: id } : { name: id, linkedAt: linkedAt });
+    }
+  });
+
+  async function ids(query) {
+    return (await query.get()).docs.map((doc) => doc.id);
+  }
+
+  it("pages through a collection by document ID", async () => {
+    const links = storage.collection("Links");
+    const first = await links.orderBy("__name__").limit(2).get();
+    assert.deepStrictEqual(first.docs.map((doc) => doc.id), ["a", "b"]);
+
+    const last = first.docs[first.docs.length - 1];
+    assert.deepStrictEqual(await ids(links.orderBy("__name__").startAfter(last).limit(2)), ["c", "d"]);
+    assert.deepStrictEqual(await ids(links.orderBy("__name__").startAfter("d").limit(2)), ["e"]);
+  });
+
+  it("orders by a field in descending order with the document ID breaking ties", async () => {
+    const query = storage.collection("Links").orderBy("linkedAt", "desc").orderBy("__name__", "desc");
+    assert.deepStrictEqual(await ids(query), ["d", "c", "b", "a"]);
+
+    const first = await query.limit(2).get();
+    assert.deepStrictEqual(first.docs.map((doc) => doc.id), ["d", "c"]);
+    assert.deepStrictEqual(await ids(query.startAfter(first.docs[1]).limit(2)), ["b", "a"]);
+    assert.deepStrictEqual(await ids(query.startAfter(3, "b")), ["a"]);
+  });
+
+  it("leaves out documents without the ordered field, like Firestore", async () => {
+    assert.deepStrictEqual(await ids(storage.collection("Links").orderBy("linkedAt")), ["a", "b", "c", "d"]);
+  });
+
+  it("combines filters with cursors", async () => {
+    const query = storage.collection("Links").where("linkedAt", ">=", 3).orderBy("linkedAt").orderBy("__name__");
+    const first = await query.limit(1).get();
+    assert.deepStrictEqual(first.docs.map((doc) => doc.id), ["b"]);
+    assert.deepStrictEqual(await ids(query.startAfter(first.docs[0])), ["c", "d"]);
+  });
+});
+
+describe("memory storage subcollections", () => {
+  it("keeps subcollections apart from their parent and from other documents", async () => {
+    const user = storage.collection("Users").doc("u1");
+    await user.set({ name: "One" });
+    await user.collection("devices").doc("d1").set({ type: "mobile" });
+    await storage.collection("Users").doc("u2").collection("devices").doc("d2").set({ type: "desktop" });
+
+    const devices = await user.collection("devices").get();
+    assert.deepStrictEqual(devices.docs.map((doc) => doc.id), ["d1"]);
+    assert.strictEqual(devices.docs[0].ref.path, "Users/u1/devices/d1");
+    assert.strictEqual(devices.docs[0].ref.parent.path, "Users/u1/devices");
+    assert.strictEqual((await storage.collection("Users").get()).size, 1);
+  });
+
+  it("lists the subcollections that have documents", async () => {
+    const user = storage.collection("Users").doc("u1");
+    await user.collection("devices").doc("d1").set({ type: "mobile" });
+    await user.collection("sessions").doc("s1").set({ revoked: false });
+    await user.collection("devices").doc("d1").collection("keys").doc("k1").set({});
+
+    const names = (await user.listCollections()).map((collection) => collection.id).sort();
+    assert.deepStrictEqual(names, ["devices", "sessions"]);
+
+    await user.collection("sessions").doc("s1").delete();
+    assert.deepStrictEqual((await user.listCollections()).map((collection) => collection.id), ["devices"]);
+  });
+
+  it("keeps subcollections when the parent document is deleted", async () => {
+    const user = storage.collection("Users").doc("u1");
+    await user.set({ name: "One" });
+    await user.collection("devices").doc("d1").set({ type: "mobile" });
+
+    await user.delete();
+
+    assert.strictEqual((await user.get()).exists, false);
+    assert.strictEqual((await user.collection("devices").doc("d1").get()).exists, true);
+  });
+
+  it("writes subcollection documents in transactions and batches", async () => {
+    const sessions = storage.collection("Users").doc("u1").collection("sessions");
+    await storage.runTransaction(async (transaction) => {
+      transaction.set(sessions.doc("s1"), { revoked: false });
+    });
+    const batch = storage.batch();
+    batch.set(sessions.doc("s2"), { revoked: false });
+    batch.update(sessions.doc("s1"), { revoked: true });
+    await batch.commit();
+
+    const snapshot = await sessions.where("revoked", "==", false).get();
+    assert.deepStrictEqual(snapshot.docs.map((doc) => doc.id), ["s2"]);
+  });
+});
@@ -0,0 +1,190 @@
+const crypto = require("crypto");
+const { getStorage } = require("./storage.js");
+const { AppError } = require("./errors.js");
+
+const storage = getStorage();
+const UsersRef = storage.collection("Users");
+
+// RFC 6238 parameters, the defaults understood by every authenticator app
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Cynorix";
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+// Number of periods before and after the current one that are still accepted, to allow for clock drift
+const TOTP_WINDOW = 1;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// ----------------------------------------------Helpers----------------------------------------------------- //
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(encoded) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const character of encoded.replace(/=+$/, "").toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(character);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * @returns {String}
+ The HOTP value (RFC 4226) of a base32 secret for a counter, zero padded to TOTP_DIGITS.
+*/
+function generateCode(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac("sha1", base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, "0");
+}
+
+/**
+ * @returns {Number|undefined}
+ The time step within the drift window whose code matches, or undefined if none does.
+*/
+function findMatchingStep(secret, code, time = Date.now()) {
+  const currentStep = Math.floor(time / 1000 / TOTP_PERIOD);
+  const expected = Buffer.from(String(code));
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    const candidate = Buffer.from(generateCode(secret, step));
+    if (candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)) {
+      return step;
+    }
+  }
+  return undefined;
+}
+
+function otpauthURI(secret, accountName) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret: secret,
+    issuer: TOTP_ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// ----------------------------------------------Create----------------------------------------------------- //
+
+/**
+ * @returns {Promise<Object>}
+ Generates a new secret and stores it as pending until the user confirms it with a first code. Returns the base32
+ secret and the otpauth:// URI to show as a QR code. Throws a 401 error if the user cannot be found.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+*/
+async function beginEnrollment(userId) {
+  const user = await UsersRef.doc(userId).get();
+  if (!user.exists) {
+    throw AppError("USER_NOT_FOUND");
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await UsersRef.doc(userId).update({ "totp.pendingSecret": secret });
+
+  return { secret, uri: otpauthURI(secret, user.get("username") || userId) };
+}
+
+module.exports.create = {
+  beginEnrollment
+};
+
+// ----------------------------------------------Update----------------------------------------------------- //
+
+/**
+ * @returns {Promise}
+ Enables TOTP once the user proves their app holds the pending secret. Throws a 409 error if no enrollment was
+ started and a 401 error if the code does not match.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} code - The code shown by the authenticator app.
+*/
+async function confirmEnrollment(userId, code) {
+  const ref = UsersRef.doc(userId);
+  const result = await storage.runTransaction(async (transaction) => {
+    const user = await transaction.get(ref);
+    const pendingSecret = user.exists ? user.get("totp.pendingSecret") : undefined;
+    if (!pendingSecret) {
+      return { error: AppError("TOTP_ENROLLMENT_NOT_STARTED") };
+    }
+
+    const step = findMatchingStep(pendingSecret, code);
+    if (step === undefined) {
+      return { error: AppError("INVALID_CODE", { message: "Invalid authenticator code." }) };
+    }
+
+    transaction.update(ref, {
+      totp: { secret: pendingSecret, enabled: true, enabledAt: storage.serverTimestamp(), lastUsedStep: step }
+    });
+    return {};
+  });
+
+  if (result.error) {
+    throw result.error;
+  }
+}
+
+/**
+ * @returns {Promise}
+ Verifies a code as a second factor. Each time step is accepted once, so a code cannot be replayed.
+ Throws a 409 error if TOTP is not enabled and a 401 error if the code is invalid or was already used.
+ Guessing is limited by the totpVerify rate limit, which locks the user out after repeated failures.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} code - The code shown by the authenticator app.
+*/
+async function verifyCode(userId, code) {
+  const ref = UsersRef.doc(userId);
+  const result = await storage.runTransaction(async (transaction) => {
+    const user = await transaction.get(ref);
+    if (!user.exists || !user.get("totp.enabled")) {
+      return { error: AppError("TOTP_NOT_ENABLED") };
+    }
+
+    const step = findMatchingStep(user.get("totp.secret"), code);
+    if (step === undefined || step <= (user.get("totp.lastUsedStep") || 0)) {
+      return { error: AppError("INVALID_CODE", { message: "Invalid authenticator code." }) };
+    }
+
+    transaction.update(ref, { "totp.lastUsedStep": step });
+    return {};
+  });
+
+  if (result.error) {
+    throw result.error;
+  }
+}
+
+module.exports.update = {
+  confirmEnrollment,
+  verifyCode
+};
+
+module.exports.generateCode = generateCode;
@@ -0,0 +1,243 @@
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const UsersDb = require("./user.js");
+const { AppError } = require("./errors.js");
+const { describeDevice } = require("./session.js");
+const { getStorage } = require("./storage.js");
+
+/*
+Trusted devices ("remember this browser"). After completing a second factor the user may trust the browser for a
+number of days; it then receives the trustedDevice cookie and /storeAccessToken starts a session from that cookie
+without another challenge.
+
+The cookie is a JWT naming the user and the device record, carrying a random secret whose hash is stored with the
+record. The cookie is a bearer credential: whoever holds it is trusted. The record also keeps a hash of the User-Agent
+header, which stops the cookie from working in another browser it was copied to by accident, but any client can send
+the same header, so this is not a binding to the device. The cookie is never accepted in place of a successJWT
+(SessionDb.update.consumeSuccessJWT). It stops working when:
+  - it expires, or the record is revoked by the user
+  - the user's phone number changes (finalizePhoneChange)
+  - the user's password changes or their Firebase tokens are revoked, which moves the account's tokensValidAfterTime
+    past the record's creation
+
+The number of days is capped by TRUSTED_DEVICE_MAX_DAYS and by the strictest `maxTrustedDeviceDays` among the user's
+organizations. A cap of 0 disables trusted devices.
+*/
+
+const DEFAULT_MAX_TRUSTED_DAYS = parseInt(process.env.TRUSTED_DEVICE_MAX_DAYS, 10) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const storage = getStorage();
+const UsersRef = storage.collection("Users");
+
+// ----------------------------------------------Helpers----------------------------------------------------- //
+
+function trustedDeviceRef(userId, deviceId) {
+  return UsersRef.doc(userId).collection("trustedDevices").doc(deviceId);
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(String(value || "")).digest("hex");
+}
+
+/**
+ * @returns {Object|undefined}
+ The decoded trustedDevice cookie if it was issued to the user and has not expired: { userId, did, secret }.
+*/
+function decodeToken(token, userId) {
+  try {
+    const data = jwt.verify(token, process.env.JWT_SECRET_KEY);
+    return data.isTrustedDevice === true && data.userId === userId ? data : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * @returns {String|undefined}
+ The device ID of a trustedDevice cookie issued to the user, or undefined if it is not a valid cookie.
+*/
+function deviceIdFromToken(token, userId) {
+  const data = decodeToken(token, userId);
+  return data ? data.did : undefined;
+}
+
+/**
+ * @returns {Promise<Number>}
+ The most days a device may be trusted for: TRUSTED_DEVICE_MAX_DAYS lowered by the `maxTrustedDeviceDays` of each
+ organization the user is linked to.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+*/
+async function getMaxTrustedDays(userId) {
+  const links = await UsersRef.doc(userId).collection("organizations").get();
+  const organizations = await UsersDb.read.GetOrganizationsInfo(links.docs.map((link) => link.id));
+
+  return organizations.reduce((max, organizationInfo) => {
+    const cap = organizationInfo && organizationInfo.maxTrustedDeviceDays;
+    return Number.isInteger(cap) && cap >= 0 ? Math.min(max, cap) : max;
+  }, DEFAULT_MAX_TRUSTED_DAYS);
+}
+
+// ----------------------------------------------Create----------------------------------------------------- //
+
+/**
+ * @returns {Promise<Object|null>}
+ Trusts the device the user just completed a second factor on. Returns { token, deviceId, expiresAt } with the value
+ of the trustedDevice cookie, or null if the user's organizations do not allow trusted devices.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {Number} days - Requested number of days; lowered to the cap from getMaxTrustedDays.
+ * @param {Object} client - { ip, userAgent, device }
+*/
+async function trustDevice(userId, days, { ip, userAgent, device } = {}) {
+  const maxDays = await getMaxTrustedDays(userId);
+  const trustedDays = Math.min(days || maxDays, maxDays);
+  if (trustedDays <= 0) {
+    return null;
+  }
+
+  const deviceId = crypto.randomBytes(16).toString("hex");
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const now = Date.now();
+  const expiresAt = now + trustedDays * DAY_MS;
+
+  await trustedDeviceRef(userId, deviceId).set({
+    secretHash: sha256(secret),
+    userAgentHash: sha256(userAgent),
+    device: device || describeDevice(userAgent),
+    ip: ip || null,
+    createdAt: now,
+    expiresAt: expiresAt,
+    lastUsedAt: now,
+    revoked: false
+  });
+
+  const token = jwt.sign({ userId: userId, did: deviceId, secret: secret, isTrustedDevice: true }, process.env.JWT_SECRET_KEY, {
+    expiresIn: trustedDays * 24 * 60 * 60
+  });
+  return { token, deviceId, expiresAt: new Date(expiresAt) };
+}
+
+module.exports.create = {
+  trustDevice
+};
+
+// ----------------------------------------------Read----------------------------------------------------- //
+
+/**
+ * @returns {Promise<String>}
+ Returns the device ID if the trustedDevice cookie is valid for this user and browser. If the account's tokens were
+ revoked since the device was trusted (e.g. the password changed), every trusted device of the user is revoked.
+ Throws a 401 error otherwise.
+ * @param {String} token - The trustedDevice cookie.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} userAgent - The User-Agent header of the request.
+*/
+async function verifyTrustedDevice(token, userId, userAgent) {
+  const data = decodeToken(token, userId);
+  if (!data) {
+    throw AppError("UNAUTHORIZED", { message: "Trusted device cookie is invalid." });
+  }
+
+  const ref = trustedDeviceRef(userId, data.did);
+  const trustedDevice = await ref.get();
+  if (
+    !trustedDevice.exists ||
+    trustedDevice.get("revoked") ||
+    trustedDevice.get("expiresAt") <= Date.now() ||
+    trustedDevice.get("secretHash") !== sha256(data.secret) ||
+    trustedDevice.get("userAgentHash") !== sha256(userAgent)
+  ) {
+    throw AppError("UNAUTHORIZED", { message: "Device is not trusted." });
+  }
+
+  const account = await storage.getAuthUser(userId);
+  if (account && account.tokensValidAfterTime > trustedDevice.get("createdAt")) {
+    await revokeAllTrustedDevices(userId, "credentialsChanged");
+    throw AppError("UNAUTHORIZED", { message: "Device is no longer trusted." });
+  }
+
+  await ref.update({ lastUsedAt: Date.now() });
+  return data.did;
+}
+
+/**
+ * @returns {Promise<Object[]>}
+ The user's trusted devices that have not expired or been revoked, most recently used first. The device holding
+ `currentToken` is flagged as current.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} currentToken - The caller's trustedDevice cookie, if any.
+*/
+async function listTrustedDevices(userId, currentToken) {
+  const currentDeviceId = deviceIdFromToken(currentToken, userId);
+  const snapshot = await UsersRef.doc(userId).collection("trustedDevices").where("revoked", "==", false).get();
+  const now = Date.now();
+
+  return snapshot.docs
+    .filter((trustedDevice) => trustedDevice.get("expiresAt") > now)
+    .map((trustedDevice) => ({
+      deviceId: trustedDevice.id,
+      device: trustedDevice.get("device"),
+      ip: trustedDevice.get("ip"),
+      createdAt: new Date(trustedDevice.get("createdAt")).toISOString(),
+      lastUsedAt: new Date(trustedDevice.get("lastUsedAt")).toISOString(),
+      expiresAt: new Date(trustedDevice.get("expiresAt")).toISOString(),
+      current: trustedDevice.id === currentDeviceId
+    }))
+    .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+}
+
+module.exports.read = {
+  verifyTrustedDevice,
+  listTrustedDevices,
+  getMaxTrustedDays,
+  deviceIdFromToken
+};
+
+// ----------------------------------------------Delete----------------------------------------------------- //
+
+/**
+ * @returns {Promise<Boolean>}
+ Revokes one of the user's trusted devices. Returns false if it does not exist or was already revoked.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} deviceId - ID of the trusted device, as listed by listTrustedDevices.
+ * @param {String} reason - Stored with the revocation, e.g. "revokedByUser".
+*/
+async function revokeTrustedDevice(userId, deviceId, reason = "revokedByUser") {
+  const ref = trustedDeviceRef(userId, deviceId);
+  return storage.runTransaction(async (transaction) => {
+    const trustedDevice = await transaction.get(ref);
+    if (!trustedDevice.exists || trustedDevice.get("revoked")) {
+      return false;
+    }
+    transaction.update(ref, { revoked: true, revokedAt: Date.now(), revokedReason: reason });
+    return true;
+  });
+}
+
+/**
+ * @returns {Promise<Number>}
+ Revokes every trusted device of the user, e.g. when their password or phone number changes. Returns how many were
+ revoked.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} reason - Stored with the revocation, e.g. "phoneChanged".
+*/
+async function revokeAllTrustedDevices(userId, reason) {
+  const snapshot = await UsersRef.doc(userId).collection("trustedDevices").where("revoked", "==", false).get();
+
+  // Firestore allows 500 writes per batch
+  for (let i = 0; i < snapshot.docs.length; i += 400) {
+    const batch = storage.batch();
+    snapshot.docs.slice(i, i + 400).forEach((trustedDevice) => {
+      batch.update(trustedDevice.ref, { revoked: true, revokedAt: Date.now(), revokedReason: reason });
+    });
+    await batch.commit();
+  }
+  return snapshot.docs.length;
+}
+
+module.exports.delete = {
+  revokeTrustedDevice,
+  revokeAllTrustedDevices
+};
+
+module.exports.DEFAULT_MAX_TRUSTED_DAYS = DEFAULT_MAX_TRUSTED_DAYS;
@@ -1,41 +1,50 @@
 const { User, UserConverter } = require("../models/user");
 const { collection, addDoc } = require("firebase/firestore");
-const { admin, database } = require("../firebaseconfig/firebase_config");
-const createError = require("http-errors");
+const { getStorage } = require("./storage.js");
+const { validateUserFields } = require("./userFields.js");
+const { normalizeUsername, usernameFromEmail, usernameProblem, validateUsername } = require("./username.js");
+const AuditLogDb = require("./auditLog.js");
+const UserHashDb = require("./userHash.js");
+const SessionDb = require("./session.js");
+const { AppError } = require("./errors.js");
+const { logger } = require("./logger.js");
 const { query } = require("express");
 const crypto = require("crypto");
-const cryptLib = require("@skavinvarnan/cryptlib"); // https://github.com/skavinvarnan/Cross-Platform-AES
 
 
-// Users collection in firestore database
-const UsersRef = database.collection("Users");
-const UsersHashRef = database.collection("UsersHash")
+// Storage adapter (Firestore unless USER_STORAGE=memory) and the collections used by this module
+const storage = getStorage();
+const UsersRef = storage.collection("Users");
+const UsersHashRef = storage.collection("UsersHash")
+const UsernamesRef = storage.collection("Usernames");
+const OrganizationsRef = storage.collection("Organizations");
 
 // ----------------------------------------------Create----------------------------------------------------- //
 
 /** 
- * @returns {Promise<admin.firestore.WriteResult>}
- Inserts a new user with the userId as the document ID into the ftirestore database.
- Throws a 409 error if the username already exists and a 500 error if there was an internal error
- with the network request.
+ * @returns {Promise<Object>}
+ Inserts a new user with the userId as the document ID into the firestore database. The username is normalized and
+ reserved in the Usernames index in the same transaction, so two registrations cannot claim the same name.
+ Throws a 400 error if the username is invalid or reserved, a 409 error if it already exists and a 500 error if
+ there was an internal error with the network request.
  * @param {Object} user - The user object containing userId/username, name and PhoneNumber 
  that must be set in the doc. 
 */
 async function createUser(user) {
-  let usernameCheck = await getUsernameUnique(user.username).catch(() => {
-    throw createError(500, "Unexpected network request error");
-  });
-  if (!usernameCheck) {
-    throw createError(409, "Username Already Exists");
-  }
+  const username = validateUsername(user.username);
+
+  const result = await storage.runTransaction(async (transaction) => {
+    if (!(await isUsernameFree(transaction, username))) {
+      return { error: AppError("USERNAME_TAKEN", { field: "username" }) };
+    }
 
-  return await UsersRef.doc(user.userId)
-    .withConverter(UserConverter)
-    .set(
+    transaction.create(UsernamesRef.doc(username), { userId: user.userId, createdAt: storage.serverTimestamp() });
+    transaction.set(
+      UsersRef.doc(user.userId).withConverter(UserConverter),
       new User(
         user.userId,
-        user.username,
-        admin.firestore.FieldValue.serverTimestamp(), // user.regDate
+        username,
+        storage.serverTimestamp(), // user.regDate
         // false, // user.emailVerified
         user.name,
         user.phoneNumber,
@@ -43,27 +52,84 @@ async function createUser(user) {
         crypto.randomBytes(32).toString("base64") // user.secret
       )
     );
+    return {};
+  });
+
+  if (result.error) {
+    throw result.error;
+  }
+  return result;
 }
 
-/** 
- * @returns {Promise<admin.firestore.WriteResult>}
- Inserts a user with the userId hashed with a random secret as the document ID 
- into the firestore database mapping the hash to the orginal userId
- * @param {Object} userId - The userId
- * @param {Object} secret - the secret to hash with
+// Attempts at a free username for a federated account before giving up
+const FEDERATED_USERNAME_ATTEMPTS = 5;
+
+/**
+ * @returns {Promise<Object>}
+ Creates the user record on a user's first federated (Google or OIDC) sign-in through createUser, like
+ /registerStepOne. Returns { created: false } if the user already has a record, e.g. after linking the provider to an
+ existing account. The username is the one chosen by the user, or one derived from the email with a random suffix
+ when taken.
+ If another Firebase account with a password uses the same email, the Firebase account created by this sign-in is
+ deleted so that the provider can belong to the existing one. When both the provider and the existing account have
+ verified the email, the provider is linked to it here and { created: false, linked: true, userId } is returned;
+ otherwise a 409 ACCOUNT_EXISTS error is thrown and the user links it by signing in with the password.
+ Also throws the errors of createUser.
+ * @param {Object} identity - { userId, email, emailVerified, provider, providerUid, name, username }
 */
-async function createUserHash(userId, secret) {
+async function createFederatedUser(identity) {
+  const existing = await UsersRef.doc(identity.userId).get();
+  if (existing.exists) {
+    return { created: false };
+  }
 
-  const hashedUserId = cryptLib.getHashSha256(userId + "||" + secret, 64);
-  const currentTime = new Date();
+  if (identity.email) {
+    const account = await storage.getAuthUserByEmail(identity.email);
+    if (account && account.uid !== identity.userId && account.providers.includes("password")) {
+      // Firebase links a provider identity to one account only
+      await storage.deleteAuthUser(identity.userId);
+      // an unverified email on either side does not prove both accounts belong to the same person
+      if (!identity.emailVerified || !account.emailVerified || !identity.providerUid) {
+        throw AppError("ACCOUNT_EXISTS", { field: "email" });
+      }
+      await storage.linkAuthProvider(account.uid, {
+        providerId: identity.provider,
+        uid: identity.providerUid,
+        email: identity.email,
+        displayName: identity.name
+      });
+      return { created: false, linked: true, userId: account.uid };
+    }
+  }
 
-  return await UsersHashRef.doc(hashedUserId).set({ userId: userId, timestamp: currentTime.getTime(), secret: secret})
+  const user = { userId: identity.userId, name: identity.name || "", phoneNumber: "" };
+  if (identity.username) {
+    await createUser({ ...user, username: identity.username });
+    return { created: true };
+  }
 
+  const base = usernameFromEmail(identity.email);
+  for (let attempt = 0; attempt < FEDERATED_USERNAME_ATTEMPTS; attempt++) {
+    const username = attempt === 0 ? base : `${base}${crypto.randomInt(1000, 10000)}`;
+    try {
+      await createUser({ ...user, username: username });
+      return { created: true };
+    } catch (error) {
+      // reserved names are rejected with a 400, taken ones with USERNAME_TAKEN; both are retried with a suffix
+      if (error.code !== "USERNAME_TAKEN" && error.status !== 400) {
+        throw error;
+      }
+    }
+  }
+  throw AppError("USERNAME_TAKEN", { field: "username" });
 }
 
 module.exports.create = {
   createUser,
-  createUserHash
+  createFederatedUser,
+  // one-time user hashes live in userHash.js; existing callers keep the old createUserHash(userId, secret) here, new
+  // callers use UserHashDb.create.createUserHash(userId, organizationId, context)
+  createUserHash: UserHashDb.create.createLegacyUserHash
 };
 
 // ----------------------------------------------Read----------------------------------------------------- //
@@ -77,7 +143,7 @@ module.exports.create = {
 async function GetUserFromUID(user_id) {
   var user = await UsersRef.doc(user_id).withConverter(UserConverter).get();
   if (!user.exists) {
-    throw createError(401, "User could not be retrieved from User ID");
+    throw AppError("USER_NOT_FOUND");
   }
 
   const info = {
@@ -89,7 +155,26 @@ async function GetUserFromUID(user_id) {
   return info;
 }
 
-/** 
+/**
+ * @returns {Object}
+ Get the fields of the user document that decide which second factors the user can use.
+ Throws a 401 error if the user cannot be found in the database using the user_id.
+ * @param {String} user_id - String object of the user_id created using Firebase Authentication.
+*/
+async function GetAuthFactorsFromUID(user_id) {
+  var user = await UsersRef.doc(user_id).withConverter(UserConverter).get();
+  if (!user.exists) {
+    throw AppError("USER_NOT_FOUND");
+  }
+
+  return {
+    phoneVerified: Boolean(user.get("phoneVerified")),
+    totpEnabled: Boolean(user.get("totp.enabled")),
+    webauthnEnabled: user.get("webauthnCredentialCount") > 0
+  };
+}
+
+/**
  * @returns {Object}
   Returns the user secret token from the Firestore database. Throws a 401 error if 
  the user cannot be found in the database using the user_id.
@@ -98,12 +183,44 @@ async function GetUserFromUID(user_id) {
 async function GetUserSecretFromUID(user_id) {
   var user = await UsersRef.doc(user_id).withConverter(UserConverter).get();
   if (!user.exists) {
-    throw createError(401, "User secret could not be retrieved from User ID");
+    throw AppError("USER_NOT_FOUND", { message: "User secret could not be retrieved from User ID" });
   }
 
   return user.get("secret");
 }
 
+/**
+ * @returns {Promise<Boolean>}
+ True if neither the Usernames index nor a user created before the index existed holds the normalized username.
+ Reads through the transaction when one is given.
+*/
+async function isUsernameFree(transaction, username) {
+  const reader = transaction || { get: (refOrQuery) => refOrQuery.get() };
+  const [reservation, legacyUsers] = [
+    await reader.get(UsernamesRef.doc(username)),
+    await reader.get(UsersRef.where("username", "==", username).limit(1))
+  ];
+  return !reservation.exists && legacyUsers.empty;
+}
+
+/** 
+ * @returns {Object}
+  Returns whether the username can be registered as { available, reason }, where reason is "invalid", "reserved"
+  or "taken" when it cannot. Errors while reading the database are thrown rather than reported as taken.
+ * @param {String} username - String object of the username that needs to be checked. 
+*/
+async function getUsernameAvailability(username) {
+  const normalized = normalizeUsername(username);
+  const problem = usernameProblem(normalized);
+  if (problem) {
+    return { available: false, reason: problem };
+  }
+  if (!(await isUsernameFree(undefined, normalized))) {
+    return { available: false, reason: "taken" };
+  }
+  return { available: true };
+}
+
 /** 
  * @returns {Boolean}
   Returns a Boolean to indicate if the username is unique. False means that username is not unique 
@@ -111,13 +228,7 @@ async function GetUserSecretFromUID(user_id) {
  * @param {String} username - String object of the username that needs to be checked for uniqueness. 
 */
 async function getUsernameUnique(username) {
-  try {
-    let result = await UsersRef.where("username", "==", username).get();
-    return result.size > 0 ? false : true;
-  } catch (error) {
-    console.error(error);
-    return false;
-  }
+  return (await getUsernameAvailability(username)).available;
 }
 
 /** 
@@ -130,7 +241,7 @@ async function GetOrganizationsFromUID(user_id) {
 
   var user = await UsersRef.doc(user_id).withConverter(UserConverter).get();
   if (!user.exists) {
-    throw createError(401, "User could not be retrieved from User ID");
+    throw AppError("USER_NOT_FOUND");
   }
 
   let organizationsId = []
@@ -144,37 +255,98 @@ async function GetOrganizationsFromUID(user_id) {
   return organizationsId;
 };
 
+// Sort orders accepted by GetOrganizationLinksFromUID
+const ORGANIZATION_SORT_FIELDS = ["linkedAt", "organizationId"];
+const DEFAULT_ORGANIZATION_PAGE_SIZE = 20;
+const MAX_ORGANIZATION_PAGE_SIZE = 50;
+
+function encodeOrganizationCursor(sortBy, doc) {
+  const value = sortBy === "linkedAt" ? doc.get("linkedAt").toMillis() : null;
+  return Buffer.from(JSON.stringify([value, doc.id])).toString("base64url");
+}
+
+function decodeOrganizationCursor(sortBy, cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (typeof id !== "string" || (sortBy === "linkedAt" && typeof value !== "number")) {
+      throw new Error("Malformed cursor");
+    }
+    return sortBy === "linkedAt" ? [new Date(value), id] : [id];
+  } catch (error) {
+    throw AppError("INVALID_CURSOR");
+  }
+}
+
 /** 
- * @returns {Object}
- Get the userId from the hash
- * @param {String} hashedUserId
+ * @returns {Promise<Object>}
+ Get one page of the organizations a user is linked to, as { links, nextCursor } where each link is
+ { organizationId, serviceUserId, linkedAt }. Links are sorted by organizationId (ascending by default), which lists
+ every link, or by linkedAt (newest first by default). Firestore leaves documents without the sort field out of
+ ordered queries, so sorting by linkedAt skips links made before linkedAt was recorded. Only the page is read from the
+ database. Pass nextCursor back as cursor, with the same sort, for the following page.
+ Throws a 401 error if the user cannot be found and a 400 error for an invalid cursor.
+ * @param {String} user_id - String object of the user_id created using Firebase Authentication.
+ * @param {Object} options - { limit, cursor, sortBy: "linkedAt"|"organizationId", order: "asc"|"desc" }
 */
-async function getUserIdFromHash(hashedUserId) {
-
-  const user = await UsersHashRef.doc(hashedUserId).get();
+async function GetOrganizationLinksFromUID(user_id, { limit, cursor, sortBy = "organizationId", order } = {}) {
+  const user = await UsersRef.doc(user_id).get();
   if (!user.exists) {
-    throw createError(401, "User could not be retrieved.");
+    throw AppError("USER_NOT_FOUND");
+  }
+  if (!ORGANIZATION_SORT_FIELDS.includes(sortBy)) {
+    throw AppError("INVALID_SORT", { message: `Organizations can only be sorted by ${ORGANIZATION_SORT_FIELDS.join(", ")}.` });
   }
 
-  const currentTime = new Date();
-  const hashedTime = user.get("timestamp");
-  if (currentTime.getTime() - hashedTime > 60000) {
-    await UsersHashRef.doc(hashedUserId).delete()
-    throw createError(410, "Session timeout.");
+  const direction = order === "asc" || order === "desc" ? order : sortBy === "linkedAt" ? "desc" : "asc";
+  let query = UsersRef.doc(user_id).collection("organizations");
+  if (sortBy === "linkedAt") {
+    query = query.orderBy("linkedAt", direction);
+  }
+  // the document ID is the organizationId and breaks ties, so the order, and therefore the cursor, is stable
+  query = query.orderBy("__name__", direction);
+  if (cursor) {
+    query = query.startAfter(...decodeOrganizationCursor(sortBy, cursor));
   }
 
-  await UsersHashRef.doc(hashedUserId).delete()
+  // one extra document tells whether there is a next page
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_ORGANIZATION_PAGE_SIZE, 1), MAX_ORGANIZATION_PAGE_SIZE);
+  const snapshot = await query.limit(pageSize + 1).get();
+  const docs = snapshot.docs.slice(0, pageSize);
+  return {
+    links: docs.map((doc) => {
+      const linkedAt = doc.get("linkedAt");
+      return {
+        organizationId: doc.id,
+        serviceUserId: doc.get("serviceUserId"),
+        linkedAt: linkedAt ? linkedAt.toDate() : null
+      };
+    }),
+    nextCursor: snapshot.docs.length > pageSize ? encodeOrganizationCursor(sortBy, docs[docs.length - 1]) : null
+  };
+}
 
-  return user.get("userId")
-  
-};
+/** 
+ * @returns {Promise<Object[]>}
+ Get the info of several organizations with a single read, in the order of organizationIds. An organization that
+ does not exist is returned as null.
+ * @param {String[]} organizationIds - IDs of the organizations, e.g. from GetOrganizationLinksFromUID.
+*/
+async function GetOrganizationsInfo(organizationIds) {
+  const organizations = await storage.getAll(...organizationIds.map((organizationId) => OrganizationsRef.doc(organizationId)));
+  return organizations.map((organization) => (organization.exists ? organization.data() : null));
+}
 
 module.exports.read = {
   getUsernameUnique,
+  getUsernameAvailability,
   GetUserFromUID,
+  GetAuthFactorsFromUID,
   GetUserSecretFromUID,
   GetOrganizationsFromUID,
-  getUserIdFromHash
+  GetOrganizationLinksFromUID,
+  GetOrganizationsInfo,
+  // the old getUserIdFromHash(hash), for hashes from createUserHash above
+  getUserIdFromHash: UserHashDb.read.consumeLegacyUserHash
 };
 
 // ----------------------------------------------Update----------------------------------------------------- //
@@ -194,7 +366,7 @@ async function updatePhoneNumber(userId, phoneNumber) {
       phoneVerified: false,
     })
     .catch((error) => {
-      console.error(error);
+      logger.error("Phone number could not be updated", { userId: userId, error: error });
       throw error;
     });
   return user.writeTime.toDate();
@@ -219,34 +391,113 @@ async function updatePhoneNumber(userId, phoneNumber) {
 //   return user.writeTime.toDate();
 // }
 
+/**
+ * @returns {Promise<Error|undefined>}
+ Within a transaction, moves the user's entry in the Usernames index from their current username to a new one.
+ Returns a 409 error instead of writing if the new username is taken. The caller writes the user document.
+*/
+async function reserveUsername(transaction, userId, user, username) {
+  const currentUsername = user.get("username");
+  if (currentUsername === username) {
+    return undefined;
+  }
+
+  if (!(await isUsernameFree(transaction, username))) {
+    return AppError("USERNAME_TAKEN", { field: "username" });
+  }
+
+  if (currentUsername) {
+    const currentReservation = await transaction.get(UsernamesRef.doc(currentUsername));
+    if (currentReservation.exists && currentReservation.get("userId") === userId) {
+      transaction.delete(UsernamesRef.doc(currentUsername));
+    }
+  }
+  transaction.create(UsernamesRef.doc(username), { userId: userId, createdAt: storage.serverTimestamp() });
+  return undefined;
+}
+
+/**
+ * @returns {Promise}
+ Changes the user's username, releasing the old one and reserving the new one atomically.
+ Throws a 400 error if the username is invalid or reserved, a 409 error if it is taken and a 401 error if the user
+ cannot be found.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} username - The new username as entered by the user.
+*/
+async function changeUsername(userId, username) {
+  return updateFields(userId, { username: username });
+}
+
+/** 
+ * @returns {FirebaseFirestore.Timestamp.toDate}
+  Returns a timestamp indicating the date of change if the change is successful. 
+  Validates every field against the user field schema and writes them together in one transaction, so either all
+  of them change or none do. Throws a 400/403 error for a rejected field, a 409 error if a unique field such as the
+  username is already taken and a 401 error if the user cannot be found.
+ * @param {String} UserId - String object of the user_id created using Firebase Authentication.
+ * @param {Object} updates - Map of field name to new value, e.g. { name: "Jane", username: "jane" }.
+*/
+async function updateFields(userId, updates) {
+  const normalized = validateUserFields(updates);
+  const ref = UsersRef.doc(userId);
+
+  const result = await storage.runTransaction(async (transaction) => {
+    const user = await transaction.get(ref);
+    if (!user.exists) {
+      return { error: AppError("USER_NOT_FOUND") };
+    }
+
+    if (normalized.username !== undefined) {
+      const error = await reserveUsername(transaction, userId, user, normalized.username);
+      if (error) {
+        return { error };
+      }
+    }
+
+    transaction.update(ref, normalized);
+    return {};
+  });
+
+  if (result.error) {
+    throw result.error;
+  }
+  return new Date();
+}
+
 /** 
  * @returns {FirebaseFirestore.Timestamp.toDate}
   Returns a timestamp indicating the date of change if the change is successful. 
   Otherwise, it throws an error in the event of a runtime error. 
  * @param {String} UserId - String object of the user_id created using Firebase Authentication.
- * @param {String} field - The attribute within Firestore that needs to be modified. This could include username/Mobile SSIDs etc. 
+ * @param {String} field - The attribute within Firestore that needs to be modified. Must be user-editable, see USER_FIELD_SCHEMA.
  * @param {String} info - The element to which the field needs to be set. For example, the username would be set to a new string. 
 */
 async function updateField(userId, field, info) {
-  let user = await UsersRef.doc(userId)
-    .update({
-      [field]: info,
-    })
-    .catch((error) => {
-      console.error(error);
-      throw error;
-    });
-  return user.writeTime.toDate();
+  return updateFields(userId, { [field]: info });
 }
 
 /** 
-  Adds another organizationId to store in the user document.
+  Adds another organizationId to store in the user document, with the user's id at that organization and the link date.
  * @param {String} userId - String object of the user_id created using Firebase Authentication.
  * @param {String} organizationId - org id
+ * @param {String} serviceUserId - The user's id at the organization
+ * @param {Object} context - Optional audit context: { ip, userAgent }. The organization is recorded as the actor.
 */
-async function addOrganizationToUser(userId, organizationId, serviceUserId) {
+async function addOrganizationToUser(userId, organizationId, serviceUserId, context = {}) {
   //add org id
-  await UsersRef.doc(userId).collection("organizations").doc(organizationId).set({serviceUserId: serviceUserId});
+  await UsersRef.doc(userId).collection("organizations").doc(organizationId).set({
+    serviceUserId: serviceUserId,
+    linkedAt: storage.serverTimestamp()
+  });
+
+  await AuditLogDb.create.recordEvent({
+    ...context,
+    type: AuditLogDb.AUDIT_EVENTS.ORGANIZATION_LINKED,
+    userId: userId,
+    actor: { type: "organization", id: organizationId },
+    outcome: "success",
+    fields: ["organizations"]
+  });
 
 }
 
@@ -254,39 +505,205 @@ module.exports.update = {
   updatePhoneNumber,
   //  setFCMToken,
   updateField,
+  updateFields,
+  changeUsername,
   addOrganizationToUser
 };
 
 // ----------------------------------------------Delete----------------------------------------------------- //
+// Days between a deletion request and the actual deletion, during which it can be cancelled. 0 deletes immediately.
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 0;
+// Firestore allows 500 writes per batch
+const DELETE_BATCH_SIZE = 400;
+// A deletion claimed longer ago than this is taken to have been interrupted and may be resumed by another run
+const DELETION_CLAIM_MS = 15 * 60 * 1000;
+// gRPC status Firestore (and the memory adapter) use when a document to update does not exist
+const NOT_FOUND = 5;
+
+/*
+Steps of an account deletion, in order. Each completed step is recorded on the user document so that a deletion that
+fails part way can be resumed; the user document itself is removed last.
+
+Two things stay behind on purpose: AuditLog entries, which are the security record of the account and are kept for
+their retention period, and RateLimits entries, which are keyed by a hash of the limited key rather than the user and
+expire through their expiresAt.
+*/
+const DELETION_STEPS = {
+  organizations: (userId) => deleteCollection(UsersRef.doc(userId).collection("organizations")),
+  subcollections: (userId) => deleteSubcollections(UsersRef.doc(userId)),
+  hashes: async (userId) => deleteDocuments((await UsersHashRef.where("userId", "==", userId).get()).docs.map((hash) => hash.ref)),
+  username: async (userId) => deleteDocuments((await UsernamesRef.where("userId", "==", userId).get()).docs.map((name) => name.ref)),
+  tokens: (userId) => SessionDb.delete.deleteUserTokenRecords(userId),
+  authUser: (userId) => storage.deleteAuthUser(userId),
+  user: (userId) => UsersRef.doc(userId).delete()
+};
+
+async function deleteDocuments(refs) {
+  for (let i = 0; i < refs.length; i += DELETE_BATCH_SIZE) {
+    const batch = storage.batch();
+    refs.slice(i, i + DELETE_BATCH_SIZE).forEach((ref) => batch.delete(ref));
+    await batch.commit();
+  }
+}
+
+async function deleteCollection(collectionRef) {
+  const snapshot = await collectionRef.get();
+  for (const doc of snapshot.docs) {
+    await deleteSubcollections(doc.ref);
+  }
+  await deleteDocuments(snapshot.docs.map((doc) => doc.ref));
+}
+
+async function deleteSubcollections(docRef) {
+  for (const collectionRef of await docRef.listCollections()) {
+    await deleteCollection(collectionRef);
+  }
+}
+
+/*
+Claims the user's deletion in a transaction so that only one run works on it at a time. Returns { completedSteps }
+once claimed, { done: true } if the user document is gone because an earlier run finished, or { error } if another
+run claimed it less than DELETION_CLAIM_MS ago.
+*/
+async function claimDeletion(ref) {
+  return storage.runTransaction(async (transaction) => {
+    const user = await transaction.get(ref);
+    if (!user.exists) {
+      return { done: true };
+    }
+    const deletion = user.get("deletion") || {};
+    if (deletion.status === "inProgress" && deletion.claimedAt > Date.now() - DELETION_CLAIM_MS) {
+      return { error: AppError("DELETION_IN_PROGRESS") };
+    }
+    transaction.update(ref, { "deletion.status": "inProgress", "deletion.claimedAt": Date.now() });
+    return { completedSteps: deletion.completedSteps || [] };
+  });
+}
+
+// Records progress on the user document, unless another run has already finished the deletion and removed it
+async function recordDeletionProgress(ref, fields) {
+  try {
+    await ref.update(fields);
+  } catch (error) {
+    if (error.code !== NOT_FOUND) {
+      throw error;
+    }
+  }
+}
+
 /** 
- * @returns {FirebaseFirestore.Timestamp.toDate()}
-  Returns a timestamp indicating the date of change if deleting the user was successful. 
-  Throws an error if a runtime error occured during execution. 
+ * @returns {Promise<Object>}
+  Deletes everything stored for the user: organization links, every subcollection (devices, sessions, credentials...),
+  pending user hashes, token revocations, the Firebase Auth account and finally the user document. Steps already
+  completed by an earlier attempt are skipped, and a user document that no longer exists counts as deleted.
+  Returns { status: "completed", completedSteps }. Throws a 409 error if another run is deleting the user, or the
+  error of the step that failed; the steps before it stay recorded so calling this again resumes from there.
  * @param {String} userId - String object of the user_id created using Firebase Authentication.
 */
 async function DeleteUserFromUID(userId) {
-  const DevicesRef = await UsersRef.doc(userId).collection("devices");
+  const ref = UsersRef.doc(userId);
+  const claim = await claimDeletion(ref);
+  if (claim.error) {
+    throw claim.error;
+  }
+  if (claim.done) {
+    return { status: "completed", completedSteps: [] };
+  }
 
-  DevicesRef.get()
-    .then((snapshot) => {
-      snapshot.forEach((device) => {
-        device.ref.delete();
-      });
-    })
-    .catch((error) => {
-      console.error(error);
-      throw error;
-    });
+  const completedSteps = claim.completedSteps;
+  for (const step of Object.keys(DELETION_STEPS)) {
+    if (completedSteps.includes(step)) {
+      continue;
+    }
+    try {
+      await DELETION_STEPS[step](userId);
+    } catch (error) {
+      logger.error("Account deletion step failed", { userId: userId, step: step, error: error });
+      await recordDeletionProgress(ref, { "deletion.status": "failed", "deletion.failedStep": step });
+      throw AppError("DELETION_FAILED", { message: `Account deletion failed at step "${step}".`, step: step });
+    }
+    completedSteps.push(step);
+    if (step !== "user") {
+      await recordDeletionProgress(ref, { "deletion.completedSteps": storage.arrayUnion(step) });
+    }
+  }
 
-  UsersRef.doc(userId)
-    .delete()
-    .then((user) => {
-      return user.writeTime.toDate();
-    })
-    .catch((error) => {
-      console.error(error);
-      throw error;
-    });
+  return { status: "completed", completedSteps };
+}
+
+/** 
+ * @returns {Promise<Object>}
+  Requests deletion of the user's account. With a grace period the account is only marked for deletion and can be
+  restored with CancelUserDeletion until `scheduledFor`; without one it is deleted right away.
+  Returns { status: "scheduled", scheduledFor } or the result of DeleteUserFromUID. Throws a 401 error if the user
+  cannot be found.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {Number} graceDays - Days until deletion, defaults to ACCOUNT_DELETION_GRACE_DAYS.
+*/
+async function RequestUserDeletion(userId, graceDays = ACCOUNT_DELETION_GRACE_DAYS) {
+  const ref = UsersRef.doc(userId);
+  const user = await ref.get();
+  if (!user.exists) {
+    throw AppError("USER_NOT_FOUND");
+  }
+
+  if (graceDays <= 0) {
+    return DeleteUserFromUID(userId);
+  }
+
+  const scheduledFor = Date.now() + graceDays * 24 * 60 * 60 * 1000;
+  await ref.update({
+    deletion: { status: "scheduled", requestedAt: storage.serverTimestamp(), scheduledFor: scheduledFor, completedSteps: [] }
+  });
+  return { status: "scheduled", scheduledFor: new Date(scheduledFor) };
+}
+
+/** 
+ * @returns {Promise}
+  Cancels a scheduled deletion during its grace period. Throws a 409 error if no deletion is scheduled.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+*/
+async function CancelUserDeletion(userId) {
+  const ref = UsersRef.doc(userId);
+  const result = await storage.runTransaction(async (transaction) => {
+    const user = await transaction.get(ref);
+    if (!user.exists || user.get("deletion.status") !== "scheduled") {
+      return { error: AppError("DELETION_NOT_SCHEDULED") };
+    }
+    transaction.update(ref, { deletion: storage.deleteField() });
+    return {};
+  });
+
+  if (result.error) {
+    throw result.error;
+  }
+}
+
+/** 
+ * @returns {Promise<Object>}
+  Deletes the accounts whose grace period has ended and resumes deletions that failed or were interrupted part way.
+  Deletions another run is still working on are skipped. Run periodically by maintenance.js. Returns the number of
+  accounts deleted, failed and skipped.
+*/
+async function processPendingDeletions() {
+  const due = await UsersRef.where("deletion.status", "==", "scheduled").where("deletion.scheduledFor", "<=", Date.now()).get();
+  const unfinished = await UsersRef.where("deletion.status", "in", ["inProgress", "failed"]).get();
+
+  const result = { deleted: 0, failed: 0, skipped: 0 };
+  for (const user of [...due.docs, ...unfinished.docs]) {
+    try {
+      await DeleteUserFromUID(user.id);
+      result.deleted++;
+    } catch (error) {
+      if (error.code === "DELETION_IN_PROGRESS") {
+        result.skipped++;
+        continue;
+      }
+      logger.error("Pending account deletion failed", { userId: user.id, error: error });
+      result.failed++;
+    }
+  }
+  return result;
 }
 
 /** 
@@ -297,36 +714,57 @@ async function DeleteUserFromUID(userId) {
 async function DeleteSSIDsFromUID(userId) {
   try {
     await UsersRef.doc(userId).update({
-      mobileSSIDs: admin.firestore.FieldValue.delete(),
+      mobileSSIDs: storage.deleteField(),
     });
     await UsersRef.doc(userId).update({
-      desktopSSIDs: admin.firestore.FieldValue.delete(),
+      desktopSSIDs: storage.deleteField(),
     });
   } catch (err) {
-    console.error(err);
+    logger.error("SSIDs could not be deleted", { userId: userId, error: err });
     throw err;
   }
 }
 
 /** 
  * @returns {Promise}
- Deletes old hashes that are expired
+ Unlinks a user from an organization and discards the user hashes issued to it. Used both when the user leaves an
+ organization and when the organization removes the user. Throws a 404 error if they are not linked.
  * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} organizationId - org id
+ * @param {Object} context - Optional audit context: { actor, ip, userAgent }
 */
-async function deleteOldHashes() {
-
-  const currentTime = new Date();
-  const OldHashesRef = await UsersHashRef.where("timestamp", "<", (currentTime.getTime() - 60000)).get()
+async function removeOrganizationFromUser(userId, organizationId, context = {}) {
+  const linkRef = UsersRef.doc(userId).collection("organizations").doc(organizationId);
+  const pendingHashes = await UsersHashRef.where("userId", "==", userId).where("organizationId", "==", organizationId).get();
+
+  const result = await storage.runTransaction(async (transaction) => {
+    const link = await transaction.get(linkRef);
+    if (!link.exists) {
+      return { error: AppError("ORGANIZATION_NOT_LINKED") };
+    }
+    transaction.delete(linkRef);
+    pendingHashes.docs.forEach((hash) => transaction.delete(hash.ref));
+    return {};
+  });
 
-  if (!OldHashesRef.empty) {
-    OldHashesRef.forEach(hash => {
-      UsersHashRef.doc(hash.id).delete()
-    })
+  await AuditLogDb.create.recordEvent({
+    ...context,
+    type: AuditLogDb.AUDIT_EVENTS.ORGANIZATION_UNLINKED,
+    userId: userId,
+    outcome: result.error ? "failure" : "success",
+    fields: ["organizations"],
+    reason: result.error ? result.error.message : null
+  });
+  if (result.error) {
+    throw result.error;
   }
-
 }
 
 module.exports.delete = {
   DeleteUserFromUID,
-  deleteOldHashes
+  removeOrganizationFromUser,
+  RequestUserDeletion,
+  CancelUserDeletion,
+  processPendingDeletions,
+  deleteOldHashes: UserHashDb.delete.deleteOldHashes
 };
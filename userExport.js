@@ -0,0 +1,130 @@
+const JSZip = require("jszip");
+const DevicesDb = require("./device.js");
+const AuthMethods = require("./authMethods.js");
+const AuditLogDb = require("./auditLog.js");
+const { getStorage } = require("./storage.js");
+const { AppError } = require("./errors.js");
+
+const storage = getStorage();
+const UsersRef = storage.collection("Users");
+
+// Fields of the user document that are never exported: secrets and values only meaningful to the server
+const EXCLUDED_USER_FIELDS = [
+  "secret",
+  "totp.secret",
+  "totp.pendingSecret",
+  "totp.lastUsedStep",
+  "recoveryCodes.hashes",
+  "webauthnChallenge",
+  "pendingPhoneChange.cancelTokenHash"
+];
+// Subcollection fields that are never exported
+const EXCLUDED_SESSION_FIELDS = ["refreshTokenId"];
+const EXCLUDED_CREDENTIAL_FIELDS = ["publicKey", "counter"];
+
+// ----------------------------------------------Helpers----------------------------------------------------- //
+
+/**
+ * Converts Firestore timestamps and dates to ISO strings so the export is plain JSON.
+ */
+function serialize(value) {
+  if (value && typeof value.toDate === "function") {
+    return value.toDate().toISOString();
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(serialize);
+  }
+  if (value && typeof value === "object") {
+    const result = {};
+    for (const key of Object.keys(value)) {
+      result[key] = serialize(value[key]);
+    }
+    return result;
+  }
+  return value;
+}
+
+function omitFields(data, fieldPaths) {
+  const result = JSON.parse(JSON.stringify(serialize(data)));
+  for (const fieldPath of fieldPaths) {
+    const keys = fieldPath.split(".");
+    const parent = keys.slice(0, -1).reduce((value, key) => (value && typeof value === "object" ? value[key] : undefined), result);
+    if (parent && typeof parent === "object") {
+      delete parent[keys[keys.length - 1]];
+    }
+  }
+  return result;
+}
+
+async function exportAuditHistory(userId) {
+  const events = [];
+  let cursor;
+  do {
+    const page = await AuditLogDb.read.listUserEvents(userId, { limit: 100, cursor: cursor });
+    events.push(...page.events);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return events;
+}
+
+async function exportSubcollection(userId, name, excludedFields = []) {
+  const snapshot = await UsersRef.doc(userId).collection(name).get();
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...omitFields(doc.data(), excludedFields) }));
+}
+
+// ----------------------------------------------Read----------------------------------------------------- //
+
+/**
+ * @returns {Promise<Object>}
+ Collects everything stored about a user into a single JSON-serializable object: the unmasked profile, devices,
+ organizations with their serviceUserId, second factor enrollments, sessions and the audit history. Secrets such as the per-user
+ `secret`, TOTP secrets and recovery code hashes are excluded. Throws a 401 error if the user cannot be found.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+*/
+async function collectUserData(userId) {
+  const user = await UsersRef.doc(userId).get();
+  if (!user.exists) {
+    throw AppError("USER_NOT_FOUND");
+  }
+
+  const devices = await DevicesDb.read.getAllDevices(userId);
+  const recoveryCodeHashes = user.get("recoveryCodes.hashes");
+
+  return {
+    exportedAt: new Date().toISOString(),
+    userId: userId,
+    profile: omitFields(user.data(), EXCLUDED_USER_FIELDS),
+    devices: serialize(devices),
+    organizations: await exportSubcollection(userId, "organizations"),
+    authMethods: {
+      available: await AuthMethods.getAvailableAuthMethods(userId),
+      totp: { enabled: Boolean(user.get("totp.enabled")), enabledAt: serialize(user.get("totp.enabledAt")) || null },
+      webauthnCredentials: await exportSubcollection(userId, "webauthnCredentials", EXCLUDED_CREDENTIAL_FIELDS),
+      recoveryCodes: {
+        remaining: Array.isArray(recoveryCodeHashes) ? recoveryCodeHashes.length : 0,
+        generatedAt: serialize(user.get("recoveryCodes.generatedAt")) || null
+      }
+    },
+    sessions: await exportSubcollection(userId, "sessions", EXCLUDED_SESSION_FIELDS),
+    auditHistory: await exportAuditHistory(userId)
+  };
+}
+
+/**
+ * @returns {Promise<Buffer>}
+ The export packaged as a ZIP archive containing user-data.json.
+ * @param {Object} data - The result of collectUserData.
+*/
+async function toZip(data) {
+  const zip = new JSZip();
+  zip.file("user-data.json", JSON.stringify(data, null, 2));
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+module.exports.read = {
+  collectUserData,
+  toZip
+};
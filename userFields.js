@@ -0,0 +1,83 @@
+const { validateUsername } = require("./username.js");
+const { AppError } = require("./errors.js");
+
+/*
+Fields of the user document that users may change through /updateField, with their types and constraints.
+Any field not listed here (secret, phoneNumber, phoneVerified, regDate, username index, factor enrollments...) is
+rejected; those are only written by their dedicated flows.
+  type       - "string" or "array" (of strings)
+  minLength  - minimum string length after normalization
+  maxLength  - maximum string length after normalization
+  maxItems   - maximum number of array entries
+  normalize  - applied before validation and storage; may throw a 400 error for values it rejects
+The username is additionally reserved in the Usernames index by UsersDb.update.updateFields.
+*/
+const USER_FIELD_SCHEMA = {
+  name: { type: "string", minLength: 1, maxLength: 100, normalize: (value) => value.trim() },
+  username: { type: "string", normalize: validateUsername },
+  mobileSSIDs: { type: "array", maxItems: 50, maxLength: 32, normalize: (value) => value.map((ssid) => ssid.trim()) },
+  desktopSSIDs: { type: "array", maxItems: 50, maxLength: 32, normalize: (value) => value.map((ssid) => ssid.trim()) }
+};
+
+function fieldError(code, field, message) {
+  return AppError(code, { message: message, field: field });
+}
+
+/**
+ * @returns {*}
+ Validates and normalizes a single value. Throws a 400 error describing the first constraint it breaks.
+*/
+function validateValue(field, rule, value) {
+  if (rule.type === "string") {
+    if (typeof value !== "string") {
+      throw fieldError("INVALID_FIELD", field, `Field "${field}" must be a string.`);
+    }
+  } else if (rule.type === "array") {
+    if (!Array.isArray(value) || value.some((entry) => typeof entry !== "string")) {
+      throw fieldError("INVALID_FIELD", field, `Field "${field}" must be an array of strings.`);
+    }
+  }
+
+  const normalized = rule.normalize ? rule.normalize(value) : value;
+  const strings = rule.type === "array" ? normalized : [normalized];
+
+  if (rule.maxItems !== undefined && normalized.length > rule.maxItems) {
+    throw fieldError("INVALID_FIELD", field, `Field "${field}" can have at most ${rule.maxItems} entries.`);
+  }
+  if (rule.minLength !== undefined && strings.some((entry) => entry.length < rule.minLength)) {
+    throw fieldError("INVALID_FIELD", field, `Field "${field}" must be at least ${rule.minLength} characters.`);
+  }
+  if (rule.maxLength !== undefined && strings.some((entry) => entry.length > rule.maxLength)) {
+    throw fieldError("INVALID_FIELD", field, `Field "${field}" must be at most ${rule.maxLength} characters.`);
+  }
+
+  return normalized;
+}
+
+/**
+ * @returns {Object}
+ Validates a set of updates against USER_FIELD_SCHEMA and returns the normalized values. Throws a 400 error if there
+ are no updates or a value is invalid and a 403 error if a field is not user-editable.
+ * @param {Object} updates - Map of field name to new value.
+*/
+function validateUserFields(updates) {
+  const fields = Object.keys(updates || {});
+  if (fields.length === 0) {
+    throw AppError("NO_FIELDS");
+  }
+
+  const normalized = {};
+  for (const field of fields) {
+    const rule = Object.prototype.hasOwnProperty.call(USER_FIELD_SCHEMA, field) ? USER_FIELD_SCHEMA[field] : undefined;
+    if (!rule) {
+      throw fieldError("FIELD_NOT_EDITABLE", field, `Field "${field}" cannot be updated.`);
+    }
+    normalized[field] = validateValue(field, rule, updates[field]);
+  }
+  return normalized;
+}
+
+module.exports = {
+  USER_FIELD_SCHEMA,
+  validateUserFields
+};
@@ -0,0 +1,233 @@
+const crypto = require("crypto");
+const cryptLib = require("@skavinvarnan/cryptlib"); // https://github.com/skavinvarnan/Cross-Platform-AES
+const AuditLogDb = require("./auditLog.js");
+const { getStorage } = require("./storage.js");
+const { AppError } = require("./errors.js");
+const { logger } = require("./logger.js");
+
+/*
+One-time user hashes hand a userId to an organization without revealing it. A hash is created for one organization,
+expires after that organization's TTL and can be consumed exactly once, by that organization only.
+
+Stored in UsersHash/{hash} as { userId, organizationId, timestamp, expiresAt } (milliseconds). The hash is an HMAC
+under USER_HASH_KEY (or JWT_SECRET_KEY) over the userId, the organization and a random nonce, so nothing needed to
+recompute it is stored. Expired hashes are removed by sweepHashes, which maintenance.js runs periodically.
+
+Callers written before hashes were bound to organizations use createLegacyUserHash and consumeLegacyUserHash, which
+UsersDb re-exports under the old names createUserHash(userId, secret) and getUserIdFromHash(hash). Those hashes keep
+the old SHA-256 format the caller computes too, are bound to no organization and can only be consumed by the legacy
+function; they are still single use, expire after USER_HASH_TTL_SECONDS and do not store the secret.
+*/
+
+const storage = getStorage();
+const UsersHashRef = storage.collection("UsersHash");
+
+// Organizations may set `userHashTtlSeconds` within these bounds
+const DEFAULT_HASH_TTL_SECONDS = parseInt(process.env.USER_HASH_TTL_SECONDS, 10) || 60;
+const MIN_HASH_TTL_SECONDS = 10;
+const MAX_HASH_TTL_SECONDS = 10 * 60;
+const DELETE_BATCH_SIZE = 400;
+
+const sweeperMetrics = {
+  runs: 0,
+  failures: 0,
+  deletedTotal: 0,
+  lastRunAt: null,
+  lastDeleted: 0,
+  lastDurationMs: 0,
+  lastError: null
+};
+
+// ----------------------------------------------Helpers----------------------------------------------------- //
+
+function hashUserId(userId, organizationId, nonce) {
+  const key = process.env.USER_HASH_KEY || process.env.JWT_SECRET_KEY;
+  return crypto.createHmac("sha256", key).update(`${userId}||${organizationId}||${nonce}`).digest("hex");
+}
+
+/**
+ * @returns {Promise<Number>}
+ The organization's hash TTL in seconds, falling back to USER_HASH_TTL_SECONDS (default 60) and clamped to the bounds.
+*/
+async function getHashTtlSeconds(organizationId) {
+  // required here because the organization module depends on the user module, which loads this one
+  const OrganizationDb = require("./organization.js");
+  const organizationInfo = await OrganizationDb.read.getOrganizationInfo(organizationId);
+  const ttl = parseInt(organizationInfo && organizationInfo.userHashTtlSeconds, 10) || DEFAULT_HASH_TTL_SECONDS;
+  return Math.min(Math.max(ttl, MIN_HASH_TTL_SECONDS), MAX_HASH_TTL_SECONDS);
+}
+
+// ----------------------------------------------Create----------------------------------------------------- //
+
+/**
+ * @returns {Promise<String>}
+ Creates a one-time hash of the userId for an organization and returns it.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} organizationId - The organization that may consume the hash.
+ * @param {Object} context - Optional audit context: { actor, ip, userAgent }
+*/
+async function createUserHash(userId, organizationId, context = {}) {
+  if (!organizationId) {
+    throw AppError("ORGANIZATION_REQUIRED");
+  }
+
+  const ttlSeconds = await getHashTtlSeconds(organizationId);
+  const hashedUserId = hashUserId(userId, organizationId, crypto.randomBytes(16).toString("hex"));
+  const now = Date.now();
+
+  await UsersHashRef.doc(hashedUserId).create({
+    userId: userId,
+    organizationId: organizationId,
+    timestamp: now,
+    expiresAt: now + ttlSeconds * 1000
+  });
+  await AuditLogDb.create.recordEvent({ ...context, type: AuditLogDb.AUDIT_EVENTS.HASH_CREATED, userId: userId, outcome: "success" });
+  return hashedUserId;
+}
+
+/**
+ * @returns {Promise<String>}
+ Creates a one-time hash in the format used before hashes were bound to organizations: SHA-256 of userId||secret,
+ which the caller computes as well. Consume it with consumeLegacyUserHash. Returns the hash.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {String} secret - The secret the caller hashes with the userId.
+*/
+async function createLegacyUserHash(userId, secret) {
+  const hashedUserId = cryptLib.getHashSha256(`${userId}||${secret}`, 64);
+  const now = Date.now();
+
+  await UsersHashRef.doc(hashedUserId).set({
+    userId: userId,
+    organizationId: null,
+    timestamp: now,
+    expiresAt: now + DEFAULT_HASH_TTL_SECONDS * 1000
+  });
+  await AuditLogDb.create.recordEvent({ type: AuditLogDb.AUDIT_EVENTS.HASH_CREATED, userId: userId, outcome: "success" });
+  return hashedUserId;
+}
+
+module.exports.create = {
+  createUserHash,
+  createLegacyUserHash
+};
+
+// ----------------------------------------------Read----------------------------------------------------- //
+
+/**
+ * @returns {Promise<String>}
+ Consumes a hash and returns its userId. Reading and deleting happen in one transaction, so a hash can only be
+ consumed once even by concurrent requests. Throws a 401 error if the hash does not exist or belongs to another
+ organization (which leaves it untouched) and a 410 error if it has expired.
+ * @param {String} hashedUserId - The hash returned by createUserHash.
+ * @param {String} organizationId - The organization consuming the hash.
+ * @param {Object} context - Optional audit context: { actor, ip, userAgent }
+*/
+async function getUserIdFromHash(hashedUserId, organizationId, context = {}) {
+  const result = await storage.runTransaction(async (transaction) => {
+    const ref = UsersHashRef.doc(hashedUserId);
+    const hash = await transaction.get(ref);
+    // legacy hashes, including those written before this module, carry no organization
+    if (!hash.exists || (hash.get("organizationId") || null) !== (organizationId || null)) {
+      return { error: AppError("USER_NOT_FOUND") };
+    }
+
+    transaction.delete(ref);
+    if (Date.now() > (hash.get("expiresAt") || hash.get("timestamp") + DEFAULT_HASH_TTL_SECONDS * 1000)) {
+      return { userId: hash.get("userId"), error: AppError("USER_HASH_EXPIRED") };
+    }
+    return { userId: hash.get("userId") };
+  });
+
+  if (result.userId) {
+    await AuditLogDb.create.recordEvent({
+      ...context,
+      type: AuditLogDb.AUDIT_EVENTS.HASH_CONSUMED,
+      userId: result.userId,
+      actor: context.actor || (organizationId ? { type: "organization", id: organizationId } : undefined),
+      outcome: result.error ? "failure" : "success",
+      reason: result.error ? "expired" : null
+    });
+  }
+  if (result.error) {
+    throw result.error;
+  }
+  return result.userId;
+}
+
+/**
+ * @returns {Promise<String>}
+ Consumes a hash made by createLegacyUserHash and returns its userId, with the errors of getUserIdFromHash.
+ * @param {String} hashedUserId - The hash returned by createLegacyUserHash.
+*/
+async function consumeLegacyUserHash(hashedUserId) {
+  return getUserIdFromHash(hashedUserId, null);
+}
+
+/**
+ * @returns {Object}
+ A copy of the sweeper's counters: runs, failures, deletedTotal, lastRunAt, lastDeleted, lastDurationMs, lastError.
+*/
+function getHashSweeperMetrics() {
+  return { ...sweeperMetrics };
+}
+
+module.exports.read = {
+  getUserIdFromHash,
+  consumeLegacyUserHash,
+  getHashSweeperMetrics
+};
+
+// ----------------------------------------------Delete----------------------------------------------------- //
+
+/**
+ * @returns {Promise<Number>}
+ Deletes expired hashes and returns how many were deleted. Hashes written before expiresAt existed are removed once
+ they are older than the longest TTL.
+*/
+async function deleteOldHashes() {
+  const now = Date.now();
+  const expired = await UsersHashRef.where("expiresAt", "<", now).get();
+  const legacy = await UsersHashRef.where("timestamp", "<", now - MAX_HASH_TTL_SECONDS * 1000).get();
+
+  const refs = new Map();
+  for (const hash of [...expired.docs, ...legacy.docs]) {
+    refs.set(hash.id, hash.ref);
+  }
+
+  const all = [...refs.values()];
+  for (let i = 0; i < all.length; i += DELETE_BATCH_SIZE) {
+    const batch = storage.batch();
+    all.slice(i, i + DELETE_BATCH_SIZE).forEach((ref) => batch.delete(ref));
+    await batch.commit();
+  }
+  return all.length;
+}
+
+/**
+ * @returns {Promise<Object>}
+ Runs deleteOldHashes once and updates the sweeper metrics. Run periodically by maintenance.js. Never throws;
+ failures are counted and logged.
+*/
+async function sweepHashes() {
+  const startedAt = Date.now();
+  sweeperMetrics.runs++;
+  sweeperMetrics.lastRunAt = new Date(startedAt).toISOString();
+  try {
+    const deleted = await deleteOldHashes();
+    sweeperMetrics.lastDeleted = deleted;
+    sweeperMetrics.deletedTotal += deleted;
+    sweeperMetrics.lastError = null;
+  } catch (error) {
+    logger.error("User hash sweep failed", { error: error });
+    sweeperMetrics.failures++;
+    sweeperMetrics.lastDeleted = 0;
+    sweeperMetrics.lastError = error.message;
+  }
+  sweeperMetrics.lastDurationMs = Date.now() - startedAt;
+  return getHashSweeperMetrics();
+}
+
+module.exports.delete = {
+  deleteOldHashes,
+  sweepHashes
+};
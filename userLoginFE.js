@@ -1,4 +1,4 @@
-import React, { useRef, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { ErrorMessage, Field, Formik } from "formik";
 import { Button, Col, Form, Row } from "react-bootstrap";
 import { toAbsoluteUrl } from "../../../_metronic/_helpers";
@@ -6,9 +6,476 @@ import "../../../_metronic/_assets/sass/pages/login/login-2.scss";
 import * as yup from "yup";
 import { Link, withRouter } from "react-router-dom";
 import { fireAuth } from "../../utils/firebase";
-import { sendPasswordResetEmail, signInWithEmailAndPassword } from "@firebase/auth";
+import {
+  connectAuthEmulator,
+  GoogleAuthProvider,
+  isSignInWithEmailLink,
+  linkWithCredential,
+  OAuthProvider,
+  sendEmailVerification,
+  sendPasswordResetEmail,
+  sendSignInLinkToEmail,
+  signInWithEmailAndPassword,
+  signInWithEmailLink,
+  signInWithCredential,
+  signInWithPopup,
+  signOut
+} from "@firebase/auth";
+import { initializeAppCheck, ReCaptchaEnterpriseProvider } from "@firebase/app-check";
+import { startAuthentication } from "@simplewebauthn/browser";
 import { toast } from "react-hot-toast";
 
+const USER_API = `${process.env.REACT_APP_API_URL}/user`;
+// Where the email a sign-in link was sent to is remembered, so the link can be completed without asking again
+const EMAIL_FOR_SIGN_IN = "emailForSignIn";
+
+// Identity providers offered next to the password form: Google, plus the OIDC providers configured in Firebase and
+// listed in REACT_APP_OIDC_PROVIDERS, e.g. [{ "id": "oidc.acme", "label": "Acme SSO" }]
+const FEDERATED_PROVIDERS = [
+  { id: "google.com", label: "Google" },
+  ...JSON.parse(process.env.REACT_APP_OIDC_PROVIDERS || "[]")
+];
+
+// Set REACT_APP_FIREBASE_AUTH_EMULATOR_URL (e.g. http://localhost:9099) to sign in against the Firebase Auth emulator
+if (process.env.REACT_APP_FIREBASE_AUTH_EMULATOR_URL && !fireAuth.emulatorConfig) {
+  connectAuthEmulator(fireAuth, process.env.REACT_APP_FIREBASE_AUTH_EMULATOR_URL, { disableWarnings: true });
+}
+
+// With REACT_APP_APP_CHECK_SITE_KEY (a reCAPTCHA Enterprise key) every Firebase request carries an App Check token.
+// Once enforcement is turned on for Authentication in the Firebase console, Firebase rejects sign-in attempts that do
+// not come from this app, e.g. scripts guessing passwords against the Auth API directly.
+if (process.env.REACT_APP_APP_CHECK_SITE_KEY) {
+  initializeAppCheck(fireAuth.app, {
+    provider: new ReCaptchaEnterpriseProvider(process.env.REACT_APP_APP_CHECK_SITE_KEY),
+    isTokenAutoRefreshEnabled: true
+  });
+}
+
+// The cooldown and CAPTCHA below are UX only: they are kept in this browser's localStorage and the CAPTCHA token is
+// never checked by a server, so clearing storage or calling Firebase directly skips them. Guessing is stopped
+// server-side by Firebase Auth's own throttling (auth/too-many-requests), by App Check above and, after sign-in, by
+// the storeAccessToken lockout of the User router.
+
+// Consecutive failed password sign-ins are remembered across reloads, and forgotten after a quiet period
+const LOGIN_FAILURES = "loginFailures";
+const LOGIN_FAILURES_RESET = 30 * 60 * 1000;
+// After COOLDOWN_AFTER failures each attempt waits a cooldown that doubles from BASE_COOLDOWN up to MAX_COOLDOWN;
+// after CAPTCHA_AFTER failures a CAPTCHA must also be solved, if REACT_APP_RECAPTCHA_SITE_KEY is configured
+const COOLDOWN_AFTER = 3;
+const CAPTCHA_AFTER = 5;
+const BASE_COOLDOWN = 15 * 1000;
+const MAX_COOLDOWN = 5 * 60 * 1000;
+const RECAPTCHA_SCRIPT = "https://www.google.com/recaptcha/api.js?render=explicit";
+
+/*
+What to tell the user for each Firebase Auth error, and the next step offered with it:
+  resetPassword - open the forgotten password form
+  verifyEmail   - resend the verification email
+Wrong emails and wrong passwords share a message so the form does not reveal which accounts exist. `counts` marks
+the errors that count as a failed attempt for the cooldown and CAPTCHA.
+*/
+const INVALID_CREDENTIALS = { message: "Invalid email or password.", action: "resetPassword", counts: true };
+const AUTH_ERRORS = {
+  "auth/invalid-credential": INVALID_CREDENTIALS,
+  "auth/invalid-login-credentials": INVALID_CREDENTIALS,
+  "auth/wrong-password": INVALID_CREDENTIALS,
+  "auth/user-not-found": INVALID_CREDENTIALS,
+  "auth/invalid-email": { message: "Please enter a valid email address." },
+  "auth/missing-password": { message: "Please enter a password." },
+  "auth/user-disabled": { message: "This account has been disabled. Please contact your administrator." },
+  "auth/too-many-requests": {
+    message: "Too many attempts. Reset your password to sign in now, or try again later.",
+    action: "resetPassword",
+    counts: true
+  },
+  "auth/network-request-failed": { message: "Could not reach the server. Check your connection and try again." },
+  "auth/internal-error": { message: "Something went wrong on our side. Please try again." },
+  "auth/operation-not-allowed": { message: "This sign-in method is not enabled. Please contact your administrator." },
+  "auth/firebase-app-check-token-is-invalid": { message: "Could not verify this browser. Please reload the page and try again." },
+  "auth/email-not-verified": { message: "Please verify your email before signing in.", action: "verifyEmail" }
+};
+const UNKNOWN_AUTH_ERROR = { message: "Could not sign in. Please try again." };
+
+function describeAuthError(error) {
+  return AUTH_ERRORS[error.code] || UNKNOWN_AUTH_ERROR;
+}
+
+function readLoginFailures() {
+  try {
+    const failures = JSON.parse(window.localStorage.getItem(LOGIN_FAILURES)) || { count: 0, lastFailureAt: 0 };
+    return Date.now() - failures.lastFailureAt > LOGIN_FAILURES_RESET ? { count: 0, lastFailureAt: 0 } : failures;
+  } catch (error) {
+    return { count: 0, lastFailureAt: 0 };
+  }
+}
+
+/**
+ * Tracks failed password sign-ins and the challenge they lead to: a cooldown that grows with every failure, then a
+ * CAPTCHA.
+ * @returns {Object} { cooldown: seconds left, captchaRequired, recordFailure(), reset() }
+ */
+function useLoginThrottle() {
+  const [failures, setFailures] = useState(readLoginFailures);
+  const [now, setNow] = useState(Date.now());
+
+  const cooldownMs =
+    failures.count >= COOLDOWN_AFTER ? Math.min(BASE_COOLDOWN * 2 ** (failures.count - COOLDOWN_AFTER), MAX_COOLDOWN) : 0;
+  const cooldown = Math.max(0, Math.ceil((failures.lastFailureAt + cooldownMs - now) / 1000));
+
+  // tick once a second while a cooldown runs so the countdown is shown
+  useEffect(() => {
+    if (cooldown <= 0) {
+      return undefined;
+    }
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [cooldown > 0]);
+
+  const save = (next) => {
+    window.localStorage.setItem(LOGIN_FAILURES, JSON.stringify(next));
+    setFailures(next);
+    setNow(Date.now());
+  };
+
+  return {
+    cooldown: cooldown,
+    captchaRequired: failures.count >= CAPTCHA_AFTER,
+    recordFailure: () => save({ count: failures.count + 1, lastFailureAt: Date.now() }),
+    reset: () => {
+      window.localStorage.removeItem(LOGIN_FAILURES);
+      setFailures({ count: 0, lastFailureAt: 0 });
+    }
+  };
+}
+
+/**
+ * Renders a reCAPTCHA checkbox in the returned container while `required`. Without REACT_APP_RECAPTCHA_SITE_KEY the
+ * CAPTCHA is skipped and only the cooldown applies.
+ * @param {Boolean} required
+ * @returns {Object} { container: ref for the widget's element, solved, reset() }
+ */
+function useCaptcha(required) {
+  const siteKey = process.env.REACT_APP_RECAPTCHA_SITE_KEY;
+  const container = useRef(null);
+  const widgetId = useRef(undefined);
+  const [token, setToken] = useState("");
+
+  useEffect(() => {
+    if (!required || !siteKey || widgetId.current !== undefined) {
+      return;
+    }
+    const render = () =>
+      window.grecaptcha.ready(() => {
+        if (container.current && widgetId.current === undefined) {
+          widgetId.current = window.grecaptcha.render(container.current, {
+            sitekey: siteKey,
+            callback: setToken,
+            "expired-callback": () => setToken("")
+          });
+        }
+      });
+
+    if (window.grecaptcha) {
+      render();
+      return;
+    }
+    const script = document.createElement("script");
+    script.src = RECAPTCHA_SCRIPT;
+    script.async = true;
+    script.onload = render;
+    document.body.appendChild(script);
+  }, [required]);
+
+  return {
+    container: container,
+    solved: !required || !siteKey || Boolean(token),
+    reset: () => {
+      if (widgetId.current !== undefined) {
+        window.grecaptcha.reset(widgetId.current);
+      }
+      setToken("");
+    }
+  };
+}
+
+function authProviderFor(providerId) {
+  return providerId === "google.com" ? new GoogleAuthProvider() : new OAuthProvider(providerId);
+}
+
+// The provider credential of a sign-in result or error, kept to link it to an existing account
+function credentialFrom(providerId, resultOrError) {
+  const providerClass = providerId === "google.com" ? GoogleAuthProvider : OAuthProvider;
+  return resultOrError instanceof Error
+    ? providerClass.credentialFromError(resultOrError)
+    : providerClass.credentialFromResult(resultOrError);
+}
+
+/*
+The second factors the login page can run, in the order they are offered. Each kind is completed differently:
+  code     - the user types a code; `send` (if any) delivers it and `verify` returns the successJWT
+  smart    - the server scores the sign-in and either returns a successJWT or narrows the methods to offer
+  webauthn - the browser signs the challenge from `options` with a security key or passkey and `verify` checks it
+Recovery codes are offered last, as the way in when no other factor is at hand.
+
+QR, SSID and Geolocation are completed in the Cynorix mobile app and the User router has no routes for a browser to
+start or poll them, so they are out of scope for this page: users who only have those cannot finish signing in here.
+*/
+const SECOND_FACTORS = [
+  { name: "Smart", label: "Smart sign-in", kind: "smart", evaluate: "/smart/evaluate" },
+  {
+    name: "WebAuthn",
+    label: "Security key or passkey",
+    kind: "webauthn",
+    options: "/webauthn/authenticate/options",
+    verify: "/webauthn/authenticate/verify"
+  },
+  {
+    name: "SMS",
+    label: "Text message",
+    kind: "code",
+    send: "/sms/send",
+    verify: "/sms/verify",
+    input: { inputMode: "numeric", minLength: 6, maxLength: 6 }
+  },
+  {
+    name: "TOTP",
+    label: "Authenticator app",
+    kind: "code",
+    verify: "/totp/verify",
+    prompt: "Enter the code from your authenticator app",
+    input: { inputMode: "numeric", minLength: 6, maxLength: 6 }
+  },
+  {
+    name: "RecoveryCode",
+    label: "Recovery code",
+    kind: "code",
+    verify: "/recoveryCodes/verify",
+    prompt: "Enter one of your recovery codes",
+    // XXXXX-XXXXX, the dash is optional
+    input: { inputMode: "text", minLength: 10, maxLength: 11 }
+  }
+];
+
+/**
+ * The second factors from SECOND_FACTORS the user can complete on this page.
+ * @param {Object} basicInfo - The /basicInfo response
+ * @returns {Array<Object>}
+ */
+function loginFactors(basicInfo) {
+  return SECOND_FACTORS.filter((factor) =>
+    factor.name === "RecoveryCode" ? basicInfo.recoveryCodesRemaining > 0 : basicInfo.availableAuthMethods[factor.name]
+  );
+}
+
+/**
+ * Reports an unexpected error for debugging; the user is told about it in the page. Nothing is logged in production.
+ * @param {Error} error
+ */
+function reportError(error) {
+  if (process.env.NODE_ENV !== "production") {
+    console.error(error);
+  }
+}
+
+/**
+ * Calls the User router as the signed-in Firebase user. Cookies are included so the session tokens are sent and set.
+ * @param {String} method - HTTP method
+ * @param {String} path - Path within the User router, e.g. "/basicInfo"
+ * @param {Object} body - Optional JSON body
+ * @returns {Promise<Object>} The response body. Throws an error carrying the response's code and message on failure.
+ */
+async function userRequest(method, path, body) {
+  const idToken = await fireAuth.currentUser.getIdToken();
+  const response = await fetch(`${USER_API}${path}`, {
+    method: method,
+    credentials: "include",
+    headers: {
+      Authorization: `Bearer ${idToken}`,
+      ...(body ? { "Content-Type": "application/json" } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error || "Something went wrong, please try again.");
+    error.code = data.code;
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * The browser's location, or undefined if it is unavailable or the user declines to share it.
+ * @returns {Promise<Object|undefined>} { latitude, longitude }
+ */
+function getLocation() {
+  return new Promise((resolve) => {
+    if (!navigator.geolocation) {
+      resolve(undefined);
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) => resolve({ latitude: position.coords.latitude, longitude: position.coords.longitude }),
+      () => resolve(undefined),
+      { timeout: 10000, maximumAge: 60000 }
+    );
+  });
+}
+
+/**
+ * The second-factor step of logging in: lets the user pick one of their available methods, runs its challenge and
+ * hands the resulting successJWT to onSuccess.
+ * @param {*} props { methods, phoneNumber, onSuccess(successJWT, location), onCancel }
+ * @returns {JSX.Element} The SecondFactor component
+ */
+function SecondFactor(props) {
+  const [methods, setMethods] = useState(props.methods);
+  const [method, setMethod] = useState(undefined);
+  const [code, setCode] = useState("");
+  const [reasons, setReasons] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const location = useRef(undefined);
+
+  const chooseMethod = async (factor) => {
+    setMethod(factor);
+    setCode("");
+    setError("");
+    setBusy(true);
+    try {
+      if (factor.kind === "code" && factor.send) {
+        await userRequest("POST", factor.send);
+        toast.success(`A code was sent to ${props.phoneNumber}`);
+      } else if (factor.kind === "smart") {
+        location.current = await getLocation();
+        const evaluation = await userRequest("POST", factor.evaluate, {
+          location: location.current,
+          utcOffsetMinutes: -new Date().getTimezoneOffset()
+        });
+        if (evaluation.decision === "allow") {
+          await props.onSuccess(evaluation.successJWT, location.current);
+          return;
+        }
+        // the sign-in looks risky: only offer the factors the risk engine asked for, and recovery codes as a way out
+        const allowed = props.methods.filter(
+          (candidate) => evaluation.methods.includes(candidate.name) || candidate.name === "RecoveryCode"
+        );
+        if (allowed.length === 0) {
+          setError("Please set up another second factor from a device you have signed in on before.");
+          return;
+        }
+        setReasons(evaluation.reasons.map((reason) => reason.detail));
+        setMethods(allowed);
+        setMethod(undefined);
+      } else if (factor.kind === "webauthn") {
+        const { options } = await userRequest("POST", factor.options);
+        const credential = await startAuthentication(options);
+        const result = await userRequest("POST", factor.verify, { credential: credential });
+        await props.onSuccess(result.successJWT, location.current);
+        return;
+      }
+    } catch (error) {
+      reportError(error);
+      setError(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const submitCode = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      const result = await userRequest("POST", method.verify, { code: code.trim() });
+      await props.onSuccess(result.successJWT, location.current);
+    } catch (error) {
+      reportError(error);
+      setError(error.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div>
+      <Form.Row>
+        <Form.Label className="font-weight-bolder text-dark font-size-h2 font-size-h1-lg">
+          Verify it's you
+        </Form.Label>
+      </Form.Row>
+      {reasons.length > 0 ? (
+        <div className="text-muted mb-4">
+          We need another check because:
+          <ul>
+            {reasons.map((reason) => <li key={reason}>{reason}</li>)}
+          </ul>
+        </div>
+      ) : undefined}
+
+      {!method ? (
+        <div className="d-flex flex-column">
+          {methods.map((factor) => (
+            <Button
+              key={factor.name}
+              variant="light-primary"
+              className="mb-3"
+              disabled={busy}
+              onClick={() => chooseMethod(factor)}
+            >
+              {factor.label}
+            </Button>
+          ))}
+        </div>
+      ) : undefined}
+
+      {method && method.kind === "code" ? (
+        <Form onSubmit={submitCode}>
+          <Form.Group>
+            <Form.Label className="font-size-h6 font-weight-bolder text-dark">
+              {method.send ? `Enter the code sent to ${props.phoneNumber}` : method.prompt}
+            </Form.Label>
+            <Form.Control
+              autoComplete="one-time-code"
+              inputMode={method.input.inputMode}
+              maxLength={method.input.maxLength}
+              disabled={busy}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+            />
+          </Form.Group>
+          <Button variant="primary" type="submit" disabled={busy || code.trim().length < method.input.minLength}>
+            Verify
+          </Button>
+          {method.send ? (
+            <button type="button" className="btn btn-link" disabled={busy} onClick={() => chooseMethod(method)}>
+              Send a new code
+            </button>
+          ) : undefined}
+        </Form>
+      ) : undefined}
+
+      {method && method.kind === "smart" && busy ? <p className="text-muted">Checking your sign-in...</p> : undefined}
+      {method && method.kind === "webauthn" && busy ? (
+        <p className="text-muted">Follow your browser's prompt to use your security key or passkey...</p>
+      ) : undefined}
+
+      {error ? <div className="text-danger my-3">{error}</div> : undefined}
+      <div className="mt-4">
+        {method && methods.length > 1 ? (
+          <button type="button" className="btn btn-link border-0 p-0 mr-4" onClick={() => setMethod(undefined)}>
+            Use another method
+          </button>
+        ) : undefined}
+        <button type="button" className="btn btn-link border-0 p-0" onClick={props.onCancel}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
 /**
  * The Login component
  * @param {*} props {}
@@ -16,36 +483,280 @@ import { toast } from "react-hot-toast";
  */
 function Login(props) {
   const [serverError, setServerError] = useState("");
+  // The next step offered with serverError, see AUTH_ERRORS
+  const [errorAction, setErrorAction] = useState(undefined);
   // Login page has two "states": whether the user is resetting their password, or the default. forgotPassword determines which form to display.
   const [forgotPassword, setForgotPassword] = useState("none");
   // rememberPassword is simply the "opposite" of forgotPassword, used for convenience in JSX component props.
   const [rememberPassword, setRememberPassword] = useState("inline");
-  // Used to refer the email from the login page over to the forgot password page.
-  const ref = useRef(null);
+  // Set once the password is accepted but the user still has to complete a second factor:
+  // { methods, phoneNumber, trustedDeviceMaxDays }
+  const [secondFactor, setSecondFactor] = useState(undefined);
+  // Whether to trust this browser for the allowed number of days once the second factor is completed
+  const [trustDevice, setTrustDevice] = useState(false);
+  // Whether the user is asking for an email sign-in link instead of using their password, displayed like forgotPassword.
+  const [emailLink, setEmailLink] = useState("none");
+  // Set when a sign-in link is opened on another device or browser, where the email has to be entered again.
+  const [confirmEmailLink, setConfirmEmailLink] = useState(false);
+  // Set when a federated sign-in uses the email of a password account: { provider, credential, email }
+  const [pendingLink, setPendingLink] = useState(undefined);
+  const throttle = useLoginThrottle();
+  const captcha = useCaptcha(throttle.captchaRequired);
+
+  const finishLogin = () => {
+    toast.success("Successfully logged in!");
+    props.history.replace("/dashboard");
+  };
+
+  // Once Firebase has signed the user in, /basicInfo tells whether this browser already holds a valid access token;
+  // if not, the user completes a second factor whose successJWT is exchanged for one at /storeAccessToken.
+  const continueLogin = async () => {
+    try {
+      const basicInfo = await userRequest("GET", "/basicInfo");
+      if (basicInfo.hasAccess) {
+        finishLogin();
+        return;
+      }
+      // a browser the user trusts gets an access token without a new challenge
+      if (basicInfo.trustedDevice) {
+        try {
+          await userRequest("POST", "/storeAccessToken", {});
+          finishLogin();
+          return;
+        } catch (error) {
+          // the trust was revoked in the meantime: fall back to a second factor
+          reportError(error);
+        }
+      }
+      const methods = loginFactors(basicInfo);
+      if (methods.length === 0) {
+        // the first factor is enrolled with only the Firebase token, so a user without one sets it up from the
+        // dashboard; they have no access token yet, so this is not reported as a completed login
+        if (!Object.values(basicInfo.availableAuthMethods).some(Boolean)) {
+          toast("Set up a second factor to finish securing your account.");
+          props.history.replace("/dashboard");
+          return;
+        }
+        await signOut(fireAuth);
+        setServerError("Your second factors can't be used in the browser. Please sign in with the Cynorix app.");
+        return;
+      }
+      setSecondFactor({
+        methods: methods,
+        phoneNumber: basicInfo.phoneNumber,
+        trustedDeviceMaxDays: basicInfo.trustedDeviceMaxDays
+      });
+    } catch (error) {
+      reportError(error);
+      await signOut(fireAuth);
+      setServerError(error.message);
+    }
+  };
+
+  const showAuthError = (error) => {
+    const { message, action, counts } = describeAuthError(error);
+    if (counts) {
+      throttle.recordFailure();
+    }
+    setServerError(message);
+    setErrorAction(action);
+    toast.error(message);
+  };
 
-  // Logging in is exclusively done with Firebase's API, no backend validation/POSTs are necessary.
-  // The only states that need to be retrieved can be done in private/logged-in user only pages before mounting.
   const handleSubmit = async (values, { setSubmitting }) => {
+    if (throttle.cooldown > 0 || !captcha.solved) {
+      setSubmitting(false);
+      return;
+    }
+    setSubmitting(true);
     try {
-      setSubmitting(true);
-      await signInWithEmailAndPassword(fireAuth, values.email, values.password);
-      toast.success("Successfully logged in!");
-      props.history.replace("/dashboard");
+      const { user } = await signInWithEmailAndPassword(fireAuth, values.email, values.password);
+      if (!user.emailVerified) {
+        throw Object.assign(new Error("Email not verified"), { code: "auth/email-not-verified" });
+      }
     } catch (error) {
-      console.log(error);
-      toast.error("Invalid credentials");
+      reportError(error);
+      // the account stays signed in to Firebase until the email is verified, so the email can be resent
+      if (error.code !== "auth/email-not-verified") {
+        await signOut(fireAuth);
+      }
+      captcha.reset();
+      showAuthError(error);
       setSubmitting(false);
-      setServerError("Invalid credentials");
+      return;
+    }
+
+    throttle.reset();
+    await continueLogin();
+    setSubmitting(false);
+  };
+
+  const resendVerificationEmail = async () => {
+    try {
+      await sendEmailVerification(fireAuth.currentUser, { url: `${process.env.REACT_APP_PUBLIC_URL}/login` });
+      toast.success("We sent you a new verification email.");
+      await signOut(fireAuth);
+      setServerError("");
+      setErrorAction(undefined);
+    } catch (error) {
+      reportError(error);
+      toast.error(describeAuthError(error).message);
+    }
+  };
+
+  // Signs in with an identity provider. The first sign-in creates the Cynorix account. If the email already belongs
+  // to a password account, the server links the provider to it when both have verified the email; otherwise the user
+  // signs in with the password once and the provider is linked to that account here.
+  const handleProviderSignIn = async (provider) => {
+    setServerError("");
+    let result;
+    try {
+      result = await signInWithPopup(fireAuth, authProviderFor(provider.id));
+    } catch (error) {
+      reportError(error);
+      if (error.code === "auth/account-exists-with-different-credential") {
+        setPendingLink({ provider: provider, credential: credentialFrom(provider.id, error), email: error.customData.email });
+      } else if (error.code !== "auth/popup-closed-by-user" && error.code !== "auth/cancelled-popup-request") {
+        toast.error(`Could not sign in with ${provider.label}`);
+      }
+      return;
+    }
+
+    const credential = credentialFrom(provider.id, result);
+    try {
+      const signIn = await userRequest("POST", "/federatedSignIn");
+      if (signIn.linked) {
+        // the account this popup signed in to was replaced by the existing one, which now has the provider
+        await signInWithCredential(fireAuth, credential);
+        toast.success(`${provider.label} is now linked to your account.`);
+      }
+    } catch (error) {
+      reportError(error);
+      // the server removed the account this popup created, so only the local sign-in is left to clear
+      await signOut(fireAuth);
+      if (error.code === "ACCOUNT_EXISTS") {
+        setPendingLink({ provider: provider, credential: credential, email: result.user.email });
+        return;
+      }
+      setServerError(error.message);
+      return;
+    }
+    await continueLogin();
+  };
+
+  const handleLinkSubmit = async (values, { setSubmitting }) => {
+    try {
+      const { user } = await signInWithEmailAndPassword(fireAuth, pendingLink.email, values.password);
+      if (!user.emailVerified) {
+        throw Object.assign(new Error("Email not verified"), { code: "auth/email-not-verified" });
+      }
+      await linkWithCredential(user, pendingLink.credential);
+    } catch (error) {
+      reportError(error);
+      setSubmitting(false);
+      // like handleSubmit, the account stays signed in to Firebase so the verification email can be resent
+      if (error.code === "auth/email-not-verified") {
+        setPendingLink(undefined);
+        showAuthError(error);
+        return;
+      }
+      await signOut(fireAuth);
+      setServerError(["auth/wrong-password", "auth/invalid-credential"].includes(error.code) ? "Invalid credentials" : `Could not link ${pendingLink.provider.label}`);
+      return;
+    }
+    toast.success(`${pendingLink.provider.label} is now linked to your account.`);
+    setPendingLink(undefined);
+    await continueLogin();
+    setSubmitting(false);
+  };
+
+  const handleEmailLinkSubmit = async (values, { setSubmitting }) => {
+    try {
+      await sendSignInLinkToEmail(fireAuth, values.email, {
+        url: `${process.env.REACT_APP_PUBLIC_URL}/login`,
+        handleCodeInApp: true
+      });
+      window.localStorage.setItem(EMAIL_FOR_SIGN_IN, values.email);
+      toast.success("Please check your email for a sign-in link.");
+    } catch (error) {
+      reportError(error);
+      toast.error("Could not send a sign-in link");
+    }
+    setSubmitting(false);
+  };
+
+  // Completes sign-in with the link the user opened. The link is single use, so it is removed from the URL either way.
+  const completeEmailLinkSignIn = async (email) => {
+    try {
+      await signInWithEmailLink(fireAuth, email, window.location.href);
+    } catch (error) {
+      reportError(error);
+      // a mistyped email can be corrected, any other error means the link itself cannot be used
+      if (error.code === "auth/invalid-email") {
+        setServerError("This email does not match the sign-in link.");
+        return;
+      }
+      window.localStorage.removeItem(EMAIL_FOR_SIGN_IN);
+      setConfirmEmailLink(false);
+      props.history.replace(props.location.pathname);
+      setServerError("This sign-in link is invalid or has expired. Please request a new one.");
+      return;
+    }
+
+    window.localStorage.removeItem(EMAIL_FOR_SIGN_IN);
+    setConfirmEmailLink(false);
+    props.history.replace(props.location.pathname);
+    await continueLogin();
+  };
+
+  // Returning from a sign-in link: complete it with the remembered email, or ask for the email on another device.
+  useEffect(() => {
+    if (!isSignInWithEmailLink(fireAuth, window.location.href)) {
+      return;
+    }
+    const email = window.localStorage.getItem(EMAIL_FOR_SIGN_IN);
+    if (email) {
+      completeEmailLinkSignIn(email);
+    } else {
+      setConfirmEmailLink(true);
+    }
+  }, []);
+
+  const handleSecondFactorSuccess = async (successJWT, location) => {
+    try {
+      await userRequest("POST", "/storeAccessToken", {
+        successJWT: successJWT,
+        location: location,
+        trustDevice: trustDevice,
+        trustDays: trustDevice ? secondFactor.trustedDeviceMaxDays : undefined
+      });
+      finishLogin();
+    } catch (error) {
+      reportError(error);
+      toast.error(error.message);
     }
   };
 
-  const handleForgotSubmit = async (e) => {
+  const cancelSecondFactor = async () => {
+    await signOut(fireAuth);
+    setSecondFactor(undefined);
+  };
+
+  // The response is the same whether or not an account uses the email, so the form cannot be used to find accounts.
+  // Only errors that say nothing about the account (e.g. the network) are reported.
+  const handleForgotSubmit = async (values, { setSubmitting }) => {
     try {
-      await sendPasswordResetEmail(fireAuth, ref.current.values.email, { url: `${process.env.REACT_APP_PUBLIC_URL}` });
-      toast.success("Please check your email for a password reset link.");
+      await sendPasswordResetEmail(fireAuth, values.email, { url: `${process.env.REACT_APP_PUBLIC_URL}` });
     } catch (error) {
-      toast.error("Invalid email");
+      reportError(error);
+      if (["auth/network-request-failed", "auth/too-many-requests", "auth/internal-error"].includes(error.code)) {
+        toast.error(describeAuthError(error).message);
+        setSubmitting(false);
+        return;
+      }
     }
+    toast.success("If an account uses this email, you will receive a link to reset your password.");
+    setSubmitting(false);
   };
 
   const schema = yup.object({
@@ -57,6 +768,16 @@ function Login(props) {
     email: yup.string().email().required("Please enter a valid email")
   });
 
+  const toggleEmailLink = () => {
+    if (emailLink === "inline") {
+      setEmailLink("none");
+      setRememberPassword("inline");
+    } else {
+      setEmailLink("inline");
+      setRememberPassword("none");
+    }
+  };
+
   const toggleForgotPassword = () => {
     if (forgotPassword === "inline") {
       setForgotPassword("none");
@@ -86,8 +807,31 @@ function Login(props) {
 
             {/*--begin::Aside body*/}
             <div className="d-flex flex-column-fluid flex-column flex-center">
+              {/*--begin::SecondFactor*/}
+              {secondFactor ? (
+                <div className="login-form py-11">
+                  <SecondFactor
+                    methods={secondFactor.methods}
+                    phoneNumber={secondFactor.phoneNumber}
+                    onSuccess={handleSecondFactorSuccess}
+                    onCancel={cancelSecondFactor}
+                  />
+                  {secondFactor.trustedDeviceMaxDays > 0 ? (
+                    <Form.Check
+                      className="mt-4"
+                      type="checkbox"
+                      id="trust-device"
+                      label={`Trust this browser for ${secondFactor.trustedDeviceMaxDays} days`}
+                      checked={trustDevice}
+                      onChange={(e) => setTrustDevice(e.target.checked)}
+                    />
+                  ) : undefined}
+                </div>
+              ) : undefined}
+              {/*--end::SecondFactor*/}
+
               {/*--begin::Signin*/}
-              <div className="login-form login-signin py-11" style={{ display: rememberPassword }}>
+              <div className="login-form login-signin py-11" style={{ display: secondFactor || confirmEmailLink || pendingLink ? "none" : rememberPassword }}>
                 {/*--begin::Form*/}
                 <Formik
                   enableReinitialize
@@ -181,10 +925,25 @@ function Login(props) {
                       </Form.Row>
                       <Row>
                         <Col>
-                          <Button variant="primary" type="submit" disabled={isSubmitting}>
-                            Submit
+                          <div ref={captcha.container} className="mb-4" />
+                          <Button
+                            variant="primary"
+                            type="submit"
+                            disabled={isSubmitting || throttle.cooldown > 0 || !captcha.solved}
+                          >
+                            {throttle.cooldown > 0 ? `Try again in ${throttle.cooldown}s` : "Submit"}
                           </Button>
                           {serverError ? <div>{serverError}</div> : undefined}
+                          {serverError && errorAction === "resetPassword" ? (
+                            <button type="button" className="btn btn-link border-0 p-0" onClick={toggleForgotPassword}>
+                              Reset your password
+                            </button>
+                          ) : undefined}
+                          {serverError && errorAction === "verifyEmail" ? (
+                            <button type="button" className="btn btn-link border-0 p-0" onClick={resendVerificationEmail}>
+                              Resend the verification email
+                            </button>
+                          ) : undefined}
                         </Col>
                       </Row>
                     </Form>
@@ -192,10 +951,146 @@ function Login(props) {
                 </Formik>
                 <button className="btn btn-link border-0 p-0 mt-4" onClick={toggleForgotPassword}>Forgotten password?
                 </button>
+                <br />
+                <button className="btn btn-link border-0 p-0 mt-2" onClick={toggleEmailLink}>Email me a sign-in link
+                </button>
                 {/*--end::Form*/}
+
+                {/*--begin::Providers*/}
+                <div className="d-flex flex-column mt-8">
+                  <span className="text-muted font-weight-bold mb-3">Or sign in with</span>
+                  {FEDERATED_PROVIDERS.map((provider) => (
+                    <Button
+                      key={provider.id}
+                      variant="light-primary"
+                      className="mb-3"
+                      onClick={() => handleProviderSignIn(provider)}
+                    >
+                      {provider.label}
+                    </Button>
+                  ))}
+                </div>
+                {/*--end::Providers*/}
               </div>
               {/*--end::Signin*/}
 
+              {/*--begin::LinkProvider*/}
+              {pendingLink && !secondFactor ? (
+                <div className="login-form py-11">
+                  <Formik
+                    validationSchema={yup.object({ password: yup.string().required("Please enter a password") })}
+                    initialValues={{ password: "" }}
+                    onSubmit={handleLinkSubmit}
+                  >
+                    {({ handleSubmit, isSubmitting }) => (
+                      <Form onSubmit={handleSubmit}>
+                        <h2 className="font-weight-bolder text-dark font-size-h2 font-size-h1-lg">
+                          Link {pendingLink.provider.label}
+                        </h2>
+                        <p className="text-muted font-weight-bold font-size-h4 my-2">
+                          {pendingLink.email} already has a Cynorix account. Enter its password to sign in with{" "}
+                          {pendingLink.provider.label} from now on.
+                        </p>
+                        <Field
+                          autoComplete="current-password"
+                          disabled={isSubmitting}
+                          type="password"
+                          name="password"
+                          className="form-control form-control-solid h-auto py-6 px-6 rounded-lg font-size-h6 my-5"
+                          placeholder="Password"
+                        />
+                        <ErrorMessage className="text-danger" name="password" component="div" />
+                        <Button variant="primary" type="submit" className="mr-4" disabled={isSubmitting}>
+                          Link and sign in
+                        </Button>
+                        <button type="button" className="btn btn-light-primary" onClick={() => setPendingLink(undefined)}>
+                          Cancel
+                        </button>
+                        {serverError ? <div>{serverError}</div> : undefined}
+                      </Form>
+                    )}
+                  </Formik>
+                </div>
+              ) : undefined}
+              {/*--end::LinkProvider*/}
+
+              {/*--begin::EmailLink*/}
+              <div className="login-form py-11" style={{ display: secondFactor || confirmEmailLink ? "none" : emailLink }}>
+                <Formik
+                  enableReinitialize
+                  validationSchema={forgotSchema}
+                  initialValues={{ email: "" }}
+                  onSubmit={handleEmailLinkSubmit}
+                >
+                  {({ handleSubmit, isSubmitting }) => (
+                    <Form onSubmit={handleSubmit}>
+                      <h2 className="font-weight-bolder text-dark font-size-h2 font-size-h1-lg">
+                        Sign in with an email link
+                      </h2>
+                      <p className="text-muted font-weight-bold font-size-h4 my-2">
+                        We will email you a link that signs you in without a password
+                      </p>
+                      <Field
+                        autoComplete="off"
+                        disabled={isSubmitting}
+                        type="text"
+                        name="email"
+                        className="form-control form-control-solid h-auto py-6 px-6 rounded-lg font-size-h6 my-5"
+                        placeholder="Email"
+                      />
+                      <ErrorMessage className="text-danger" name="email" component="div" />
+                      <Button variant="primary" type="submit" className="mr-4" disabled={isSubmitting}>
+                        Send link
+                      </Button>
+                      <button type="button" className="btn btn-light-primary" onClick={toggleEmailLink}>
+                        Cancel
+                      </button>
+                    </Form>
+                  )}
+                </Formik>
+              </div>
+              {/*--end::EmailLink*/}
+
+              {/*--begin::ConfirmEmailLink*/}
+              {confirmEmailLink && !secondFactor ? (
+                <div className="login-form py-11">
+                  <Formik
+                    validationSchema={forgotSchema}
+                    initialValues={{ email: "" }}
+                    onSubmit={async (values, { setSubmitting }) => {
+                      setServerError("");
+                      await completeEmailLinkSignIn(values.email);
+                      setSubmitting(false);
+                    }}
+                  >
+                    {({ handleSubmit, isSubmitting }) => (
+                      <Form onSubmit={handleSubmit}>
+                        <h2 className="font-weight-bolder text-dark font-size-h2 font-size-h1-lg">
+                          Confirm your email
+                        </h2>
+                        <p className="text-muted font-weight-bold font-size-h4 my-2">
+                          The sign-in link was opened on a different device. Enter the email it was sent to.
+                        </p>
+                        <Field
+                          autoComplete="off"
+                          disabled={isSubmitting}
+                          type="text"
+                          name="email"
+                          className="form-control form-control-solid h-auto py-6 px-6 rounded-lg font-size-h6 my-5"
+                          placeholder="Email"
+                        />
+                        <ErrorMessage className="text-danger" name="email" component="div" />
+                        <Button variant="primary" type="submit" disabled={isSubmitting}>
+                          Sign in
+                        </Button>
+                        {serverError ? <div>{serverError}</div> : undefined}
+                      </Form>
+                    )}
+                  </Formik>
+                </div>
+              ) : undefined}
+              {/*--end::ConfirmEmailLink*/}
+
               {/*--begin::Forgot*/}
               <div className="pt-11" style={{ display: forgotPassword }}>
                 {/*--begin::Form*/}
@@ -203,20 +1098,13 @@ function Login(props) {
                   enableReinitialize
                   validationSchema={forgotSchema}
                   initialValues={{ email: "" }}
-                  onSubmit={(e) => {
-                    e.preventDefault();
-                    handleForgotSubmit(e);
-                  }}
-                  innerRef={ref}>
-                  {({ isSubmitting, handleChange }) => (
+                  onSubmit={handleForgotSubmit}>
+                  {({ handleSubmit, isSubmitting, handleChange }) => (
                     <form
                       className="form fv-plugins-bootstrap fv-plugins-framework"
                       noValidate="noValidate"
                       id="kt_login_forgot_form"
-                      onSubmit={(e) => {
-                        e.preventDefault();
-                        handleForgotSubmit(e);
-                      }}
+                      onSubmit={handleSubmit}
                     >
                       {/*--begin::Title*/}
                       <div className="">
@@ -261,10 +1149,6 @@ function Login(props) {
                           type="submit"
                           id="kt_login_forgot_submit"
                           className="btn btn-primary font-weight-bolder font-size-h6 px-8 py-4 my-3 mr-4"
-                          onClick={(e) => {
-                            e.preventDefault();
-                            handleForgotSubmit(e);
-                          }}
                           variant="primary"
                           disabled={isSubmitting}
                         >
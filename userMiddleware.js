@@ -1,12 +1,18 @@
-const { header, validationResult, ValidationChain, body, param } = require("express-validator");
+const { header, validationResult, ValidationChain, body, param, query } = require("express-validator");
 const { ValidateIDToken } = require("../database/firebaseAuth");
 const { BaseAuthorizationHeaderValidator, ERROR_CODES } = require("./validators");
 const jwt = require("jsonwebtoken");
 const { assuredworkloads } = require("googleapis/build/src/apis/assuredworkloads");
-const { admin, database } = require("../firebaseconfig/firebase_config");
-const UsersRef = database.collection("Users");
-const { User, UserConverter } = require("../models/user");
-const DevicesDb = require("../database/device.js");
+const AuthMethods = require("../database/authMethods.js");
+const SessionDb = require("../database/session.js");
+const TrustedDeviceDb = require("../database/trustedDevice.js");
+const { AUDIT_EVENTS } = require("../database/auditLog.js");
+const { AppError } = require("../database/errors.js");
+const { sendError } = require("./errorMiddleware");
+const { logger, addContext } = require("../database/logger.js");
+
+// Returned by AuthValidate when a route requires the admin custom claim
+const ADMIN_REQUIRED = "ADMIN_REQUIRED";
 
 /** 
 Throws an error if token could not be validated using Firebase Admin SDK. 
@@ -22,6 +28,7 @@ async function VerifyFirebaseTokenOnlyUID(value, { req }) {
     throw new Error(ERROR_CODES.INVALID_FIREBASE_TOKEN);
   }
   req.body.userId = uid;
+  addContext({ userId: uid });
   return true;
 }
 
@@ -39,6 +46,66 @@ async function VerifyFirebaseToken(value, { req }) {
     throw new Error(ERROR_CODES.INVALID_FIREBASE_TOKEN);
   }
   req.body.userId = uid;
+  addContext({ userId: uid });
+
+  return true;
+}
+
+/** 
+Throws an error if the token could not be validated or the user does not have the admin custom claim.
+ * @param {string} value - The bearer token containing the string `bearer`. Token must be extracted. 
+ * @param {Request} req - The request object passed by express validator
+*/
+async function VerifyFirebaseAdminToken(value, { req }) {
+  token = value.split(" ")[1];
+  const { uid, email_verified, admin } = await ValidateIDToken(token);
+
+  if (!uid || !email_verified) {
+    throw new Error(ERROR_CODES.INVALID_FIREBASE_TOKEN);
+  }
+  if (admin !== true) {
+    throw new Error(ADMIN_REQUIRED);
+  }
+  req.body.userId = uid;
+  addContext({ userId: uid });
+
+  return true;
+}
+
+/**
+ * @returns {Boolean}
+ True for the Firebase sign-in providers accepted by /federatedSignIn: Google and the OIDC providers configured in
+ Firebase, whose IDs start with "oidc.".
+*/
+function isFederatedProvider(provider) {
+  return provider === "google.com" || (typeof provider === "string" && provider.startsWith("oidc."));
+}
+
+/** 
+Throws an error if the token could not be validated or was not issued for a federated sign-in. Sets body.userId and
+req.federatedIdentity = { provider, providerUid, email, emailVerified, name } from the token.
+ * @param {string} value - The bearer token containing the string `bearer`. Token must be extracted. 
+ * @param {Request} req - The request object passed by express validator
+*/
+async function VerifyFederatedToken(value, { req }) {
+  token = value.split(" ")[1];
+  const { uid, email, email_verified, name, firebase } = await ValidateIDToken(token);
+  const provider = firebase && firebase.sign_in_provider;
+
+  if (!uid || !isFederatedProvider(provider)) {
+    throw new Error(ERROR_CODES.INVALID_FIREBASE_TOKEN);
+  }
+  req.body.userId = uid;
+  // the user's ID at the provider, needed to link the provider to another account
+  const providerUids = (firebase.identities && firebase.identities[provider]) || [];
+  req.federatedIdentity = {
+    provider: provider,
+    providerUid: providerUids[0],
+    email: email,
+    emailVerified: Boolean(email_verified),
+    name: name
+  };
+  addContext({ userId: uid });
 
   return true;
 }
@@ -47,18 +114,14 @@ async function VerifyFirebaseToken(value, { req }) {
  * Throws an error if the 2FA access token is not provided or invalid.
  */
 async function VerifyAccessToken(value, {req}) {
-  //check if the access token in the cookie is valid
+  //check if the access token in the cookie is valid and neither it nor its session was revoked
   const {accessToken} = req.cookies;
-  console.log(req.cookies)
-  console.log(accessToken)
   try {
-    const accessData = jwt.verify(accessToken, process.env.JWT_SECRET_KEY);
-    console.log(accessData)
-    if (accessData.userId !== req.body.userId || !accessData.isAccessToken) {
-      throw new Error(ERROR_CODES.INVALID_ACCESS_TOKEN);
-    }
+    const accessData = await SessionDb.read.verifyAccessToken(accessToken, req.body.userId, req.ip);
+    req.body.sessionId = accessData.sid;
+    addContext({ sessionId: accessData.sid });
   } catch (error) {
-    console.log(error)
+    logger.info("Access token rejected", { reason: error.message });
     throw new Error(ERROR_CODES.INVALID_ACCESS_TOKEN);
   }
   return true;
@@ -66,29 +129,11 @@ async function VerifyAccessToken(value, {req}) {
 }
 
 /**
- * Throws an error if the 2FA access token is not provided or invalid.
+ * Throws an error if the 2FA access token is not provided or invalid and the user has a second factor to obtain one with.
  */
 async function VerifyUpdatePhoneNumber(value, {req}) {
-  const userId = req.body.userId;
-
-  //get available auth methods for the user --------------------------
-  //sms is always avaliable since must have verified phone number
-  const phoneVerified = (await UsersRef.doc(userId).withConverter(UserConverter).get()).get("phoneVerified");
-
-  const availableMethods = { SMS: phoneVerified, QR: false, SSID: false, Geolocation: false };
-
-  //find number of mobile and desktop devices
-  const totalDeviceCount = (await DevicesDb.read.getAllDevices(userId)).length;
-  const mobileDeviceCount = (await DevicesDb.read.getAllMobileDevices(userId)).length;
-  const desktopDeviceCount = totalDeviceCount - mobileDeviceCount;
-
-  //if at least 1 mobile, can user QR + at least 1 desktop, can also use SSID
-  availableMethods.QR = mobileDeviceCount > 0;
-  availableMethods.SSID = desktopDeviceCount > 0 && mobileDeviceCount > 0;
-  availableMethods.Geolocation = mobileDeviceCount >0;
-
   //check if user has any methods of authentication
-  if((availableMethods.SMS || availableMethods.QR || availableMethods.SSID || availableMethods.Geolocation) && req.body.phoneNumber) {
+  if ((await AuthMethods.hasAnyAuthMethod(req.body.userId)) && req.params.phoneNumber) {
     return VerifyAccessToken(value, {req: req});
   }
 
@@ -96,10 +141,33 @@ async function VerifyUpdatePhoneNumber(value, {req}) {
   return true;
 }
 
+/**
+ * Throws an error if the user already has a second factor but did not provide a valid 2FA access token.
+ * Used when enrolling new factors, so that the first factor can be set up with only the Firebase token.
+ */
+async function VerifyAccessTokenIfEnrolled(value, {req}) {
+  if (await AuthMethods.hasAnyAuthMethod(req.body.userId)) {
+    return VerifyAccessToken(value, {req: req});
+  }
+  return true;
+}
+
+// Catalog codes for the messages thrown by the validation chains
+const VALIDATION_ERRORS = {
+  [ERROR_CODES.MISSING_HEADER]: "MISSING_HEADER",
+  [ERROR_CODES.MISSING_BEARER]: "MISSING_BEARER",
+  [ERROR_CODES.INVALID_FIREBASE_TOKEN]: "INVALID_FIREBASE_TOKEN",
+  [ERROR_CODES.DEVICE_EXISTS]: "DEVICE_EXISTS",
+  [ERROR_CODES.PHONE_NUMBER_NOT_VERIFIED]: "PHONE_NUMBER_NOT_VERIFIED",
+  [ERROR_CODES.MISSING_PARAMATER.split(":")[0]]: "INVALID_PARAMETER",
+  [ERROR_CODES.INVALID_ACCESS_TOKEN]: "INVALID_ACCESS_TOKEN",
+  [ADMIN_REQUIRED]: "ADMIN_REQUIRED"
+};
+
 /** 
-An error handler function for express validator. Collects error that occured during 
-the request processing stage and prepares a JSON response. Each case statement switches 
-through the error message and assigns the response an error code on a case by case basis.
+An error handler function for express validator. Takes the first error that occured during the request processing
+stage, looks up its code in the error catalog and sends it in the common error envelope. Messages that are not one
+of the validator codes (e.g. from Firebase) are reported as BAD_REQUEST.
 
  * @param {Response} res - The response body of the request that must be modified to set reponse code.
  * @param {Request} req - The request object passed by express validator
@@ -115,73 +183,42 @@ const AuthValidate = async (req, res, next) => {
   const message = errors.array()[0].msg; //Get the first error message
 
   const errorCode = message.split(":")[0]
-  const param = message.split(":")[1]
-
-  switch (errorCode) {
-    case ERROR_CODES.MISSING_HEADER:
-      res.status(403).json({
-        error: errorCode,
-      });
-      break;
-    case ERROR_CODES.MISSING_BEARER:
-      res.status(403).json({
-        error: errorCode,
-      });
-      break;
-    case ERROR_CODES.INVALID_FIREBASE_TOKEN:
-      res.status(400).json({
-        error: errorCode,
-      });
-      break;
-    case ERROR_CODES.DEVICE_EXISTS:
-      res.staus(401).json({
-        error: errorCode,
-      });
-      break;
-    case ERROR_CODES.PHONE_NUMBER_NOT_VERIFIED:
-      return res.status(409).json({
-        error: errorCode,
-      });
-      break;
-    case ERROR_CODES.MISSING_PARAMATER.split(":")[0]:
-      return res.status(412).json({
-        success: false,
-        error: errorCode + param,
-      });
-      break;
-    case ERROR_CODES.INVALID_ACCESS_TOKEN:
-        return res.status(417).json({
-          success: false,
-          error: errorCode,
-        })
-    default:
-      return res.status(400).json({
-        error: errorCode,
-      });
-      break;
+  const param = message.split(":").slice(1).join(":").trim()
+
+  const code = VALIDATION_ERRORS[errorCode];
+  if (!code) {
+    return sendError(req, res, AppError("BAD_REQUEST", { message: message }));
   }
+  return sendError(req, res, AppError(code, param ? { param: param } : {}));
 };
 
 /**
  * Middleware to check if the user has a valid access token. Adds that as a boolean value to body.
+ * Also accepts the trustedDevice cookie of a browser the user chose to trust: body.trustedDeviceId is set to its ID,
+ * which lets /storeAccessToken start a session without a successJWT.
  */
-const CheckAccessTokenMiddleware = (req, res, next) => {
+const CheckAccessTokenMiddleware = async (req, res, next) => {
   
-  //create hasAccess property for body
+  //create hasAccess and trustedDeviceId properties for body, overwriting anything sent by the client
   req.body.hasAccess = true;
+  req.body.trustedDeviceId = undefined;
 
-  //check if the access token in the cookie is valid
-  const {accessToken} = req.cookies;
-  console.log(req.cookies)
+  //check if the access token in the cookie is valid and has not been revoked
+  const {accessToken, trustedDevice} = req.cookies;
   try {
-    const accessData = jwt.verify(accessToken, process.env.JWT_SECRET_KEY);
-    if (accessData.userId !== req.body.userId || !accessData.isAccessToken) {
-      req.body.hasAccess = false;
-    }
+    await SessionDb.read.verifyAccessToken(accessToken, req.body.userId, req.ip);
   } catch (error) {
     req.body.hasAccess = false;
   }
 
+  if (trustedDevice) {
+    try {
+      req.body.trustedDeviceId = await TrustedDeviceDb.read.verifyTrustedDevice(trustedDevice, req.body.userId, req.get("user-agent"));
+    } catch (error) {
+      logger.info("Trusted device rejected", { reason: error.message });
+    }
+  }
+
   next();
 }
 
@@ -204,10 +241,184 @@ const CheckPhoneNumberChangeValidator = () => {
 /*
 The express validation chain for /storeAccessToken in User router.
 The user ID extracted through the Firebase token using VerifyFirebaseToken
+successJWT may only be left out by a trusted device, which the route checks through CheckAccessTokenMiddleware.
+trustDevice and trustDays opt in to trusting the browser after this second factor.
 */
 const StoreAccessTokenValidator = () => {
   return [BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
-    body("successJWT").isLength({ min: 1 }).trim().withMessage(`${ERROR_CODES.MISSING_PARAMATER} successJWT`).bail()
+    body("successJWT").optional().isLength({ min: 1 }).trim().withMessage(`${ERROR_CODES.MISSING_PARAMATER} successJWT`).bail(),
+    body("deviceName").optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage(`${ERROR_CODES.MISSING_PARAMATER} deviceName`).bail(),
+    body("trustDevice").optional().isBoolean().toBoolean().withMessage(`${ERROR_CODES.MISSING_PARAMATER} trustDevice`).bail(),
+    body("trustDays").optional().isInt({ min: 1, max: 365 }).toInt().withMessage(`${ERROR_CODES.MISSING_PARAMATER} trustDays`).bail(),
+    ...LoginLocationValidator()
+  ];
+};
+
+/*
+Optional location of the client at sign-in, used by the risk engine. Both coordinates must be given together.
+*/
+const LoginLocationValidator = () => {
+  return [
+    body("location").optional().isObject().withMessage(`${ERROR_CODES.MISSING_PARAMATER} location`).bail(),
+    body("location.latitude").if(body("location").exists()).isFloat({ min: -90, max: 90 }).toFloat().withMessage(`${ERROR_CODES.MISSING_PARAMATER} location.latitude`).bail(),
+    body("location.longitude").if(body("location").exists()).isFloat({ min: -180, max: 180 }).toFloat().withMessage(`${ERROR_CODES.MISSING_PARAMATER} location.longitude`).bail()
+  ];
+};
+
+/*
+The express validation chain for /smart/evaluate in User router.
+Every signal is optional; a missing signal counts against the user only where the account has a reference for it
+(e.g. registered SSIDs or a previous sign-in location). utcOffsetMinutes is the client's offset to UTC.
+*/
+const SmartEvaluateValidator = () => {
+  return [
+    BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
+    body("ssid").optional().isString().trim().isLength({ min: 1, max: 32 }).withMessage(`${ERROR_CODES.MISSING_PARAMATER} ssid`).bail(),
+    ...LoginLocationValidator(),
+    body("utcOffsetMinutes").optional().isInt({ min: -720, max: 840 }).toInt().withMessage(`${ERROR_CODES.MISSING_PARAMATER} utcOffsetMinutes`).bail(),
+    body("organizationId").optional().isString().trim().isLength({ min: 1 }).withMessage(`${ERROR_CODES.MISSING_PARAMATER} organizationId`).bail()
+  ];
+};
+
+/*
+The express validation chain for /sessions, /sessions/revokeOthers, /trustedDevices and /trustedDevices/revokeAll
+in User router.
+Requires a valid access token, which also identifies the caller's current session.
+*/
+const SessionsValidator = () => {
+  return [
+    BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
+    BaseAuthorizationHeaderValidator().custom(VerifyAccessToken),
+  ];
+};
+
+/*
+The express validation chain for /sessions/:sessionId/revoke in User router.
+The session to revoke is a route parameter, since VerifyAccessToken sets body.sessionId to the caller's session.
+*/
+const RevokeSessionValidator = () => {
+  return [
+    BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
+    BaseAuthorizationHeaderValidator().custom(VerifyAccessToken),
+    param("sessionId").isString().trim().isLength({ min: 1 }).withMessage(`${ERROR_CODES.MISSING_PARAMATER} sessionId`).bail(),
+  ];
+};
+
+/*
+The express validation chain for /trustedDevices/:deviceId/revoke in User router.
+*/
+const RevokeTrustedDeviceValidator = () => {
+  return [
+    BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
+    BaseAuthorizationHeaderValidator().custom(VerifyAccessToken),
+    param("deviceId").isString().trim().isLength({ min: 1 }).withMessage(`${ERROR_CODES.MISSING_PARAMATER} deviceId`).bail(),
+  ];
+};
+
+/*
+The express validation chain for /refreshAccessToken in User router.
+The refresh token itself is read from the refreshToken cookie by the route.
+*/
+const RefreshAccessTokenValidator = () => {
+  return [BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken)];
+};
+
+/*
+The express validation chain for /logout in User router.
+Only the Firebase token is required so that a user with an expired access token can still log out.
+*/
+const LogoutValidator = () => {
+  return [BaseAuthorizationHeaderValidator().custom(VerifyFirebaseTokenOnlyUID)];
+};
+
+/*
+The express validation chain for /totp/enroll in User router.
+An access token is required if the user can already complete another second factor.
+*/
+const TotpEnrollValidator = () => {
+  return [
+    BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
+    BaseAuthorizationHeaderValidator().custom(VerifyAccessTokenIfEnrolled),
+  ];
+};
+
+/*
+The express validation chain for /totp/confirm in User router.
+isLength ensures that the code is the six digits shown by the authenticator app.
+*/
+const TotpConfirmValidator = () => {
+  return [
+    BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
+    BaseAuthorizationHeaderValidator().custom(VerifyAccessTokenIfEnrolled),
+    body("code").trim().isLength({ min: 6, max: 6 }).isNumeric().withMessage(`${ERROR_CODES.MISSING_PARAMATER} code`).bail(),
+  ];
+};
+
+/*
+The express validation chain for /totp/verify in User router.
+This is the second factor itself, so only the Firebase token is required.
+*/
+const TotpVerifyValidator = () => {
+  return [
+    BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
+    body("code").trim().isLength({ min: 6, max: 6 }).isNumeric().withMessage(`${ERROR_CODES.MISSING_PARAMATER} code`).bail(),
+  ];
+};
+
+/*
+The express validation chains for the /webauthn/register ceremony in User router.
+An access token is required if the user can already complete another second factor.
+isObject ensures the browser's credential response is present when verifying.
+*/
+const WebAuthnRegistrationOptionsValidator = () => {
+  return [
+    BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
+    BaseAuthorizationHeaderValidator().custom(VerifyAccessTokenIfEnrolled),
+  ];
+};
+
+const WebAuthnRegistrationVerifyValidator = () => {
+  return [
+    BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
+    BaseAuthorizationHeaderValidator().custom(VerifyAccessTokenIfEnrolled),
+    body("credential").isObject().withMessage(`${ERROR_CODES.MISSING_PARAMATER} credential`).bail(),
+  ];
+};
+
+/*
+The express validation chains for the /webauthn/authenticate ceremony in User router.
+This is the second factor itself, so only the Firebase token is required.
+*/
+const WebAuthnAuthenticationOptionsValidator = () => {
+  return [BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken)];
+};
+
+const WebAuthnAuthenticationVerifyValidator = () => {
+  return [
+    BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
+    body("credential").isObject().withMessage(`${ERROR_CODES.MISSING_PARAMATER} credential`).bail(),
+  ];
+};
+
+/*
+The express validation chain for /recoveryCodes/generate in User router.
+An access token is required if the user can already complete another second factor.
+*/
+const GenerateRecoveryCodesValidator = () => {
+  return [
+    BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
+    BaseAuthorizationHeaderValidator().custom(VerifyAccessTokenIfEnrolled),
+  ];
+};
+
+/*
+The express validation chain for /recoveryCodes/verify in User router.
+This replaces the second factor, so only the Firebase token is required.
+*/
+const VerifyRecoveryCodeValidator = () => {
+  return [
+    BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
+    body("code").isLength({ min: 1 }).trim().withMessage(`${ERROR_CODES.MISSING_PARAMATER} code`).bail(),
   ];
 };
 
@@ -231,6 +442,19 @@ const UserRegistrationValidator = () => {
   ];
 };
 
+/*
+The express validation chain for /federatedSignIn in User router.
+The user ID, email and name come from the Firebase token of the federated sign-in. The username is optional; one is
+derived from the email if it is not given.
+*/
+const FederatedSignInValidator = () => {
+  return [
+    BaseAuthorizationHeaderValidator().custom(VerifyFederatedToken),
+    body("username").optional().isString().trim().isLength({ min: 1 }).withMessage(`${ERROR_CODES.MISSING_PARAMATER} username`).bail(),
+    body("name").optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage(`${ERROR_CODES.MISSING_PARAMATER} name`).bail(),
+  ];
+};
+
 // Deprecated currently.
 const UserRegistrationStep2Validator = () => {
   return [BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken)];
@@ -250,6 +474,73 @@ const UpdatePhoneNumberValidator = () => {
   ];
 };
 
+/*
+The express validation chain for /phone/sendCode in User router.
+The code is sent to the phone number already stored for the user.
+*/
+const SendPhoneCodeValidator = () => {
+  return [BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken)];
+};
+
+/*
+The express validation chain for /phone/verifyCode in User router.
+isLength ensures that the code is the six digits that were sent.
+*/
+const VerifyPhoneCodeValidator = () => {
+  return [
+    BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
+    body("code").trim().isLength({ min: 6, max: 6 }).isNumeric().withMessage(`${ERROR_CODES.MISSING_PARAMATER} code`).bail(),
+  ];
+};
+
+/*
+The express validation chains for /sms/send and /sms/verify in User router.
+This is the second factor itself, so only the Firebase token is required.
+*/
+const SendLoginCodeValidator = () => {
+  return [BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken)];
+};
+
+const VerifyLoginCodeValidator = () => {
+  return [
+    BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
+    body("code").trim().isLength({ min: 6, max: 6 }).isNumeric().withMessage(`${ERROR_CODES.MISSING_PARAMATER} code`).bail(),
+  ];
+};
+
+/*
+The express validation chain for /phone/confirmChange in User router.
+isLength ensures that the code is the six digits sent to the new phone number.
+*/
+const ConfirmPhoneChangeValidator = () => {
+  return [
+    BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
+    body("code").trim().isLength({ min: 6, max: 6 }).isNumeric().withMessage(`${ERROR_CODES.MISSING_PARAMATER} code`).bail(),
+  ];
+};
+
+/*
+The express validation chain for /phone/cancelChange in User router.
+Cancelling with a signed-in session requires the access token from another factor.
+*/
+const CancelPhoneChangeValidator = () => {
+  return [
+    BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
+    BaseAuthorizationHeaderValidator().custom(VerifyAccessToken),
+  ];
+};
+
+/*
+The express validation chain for /phone/cancelChangeWithToken in User router.
+Used by the link sent to the old phone number, so no Firebase token is required; the token in the link authorizes it.
+*/
+const CancelPhoneChangeWithTokenValidator = () => {
+  return [
+    body("userId").isLength({ min: 1 }).trim().withMessage(`${ERROR_CODES.MISSING_PARAMATER} userId`).bail(),
+    body("token").isLength({ min: 1 }).trim().withMessage(`${ERROR_CODES.MISSING_PARAMATER} token`).bail(),
+  ];
+};
+
 /*
 The express validation chain for /setFCMToken in User router.
 The user ID extracted through the Firebase token using VerifyFirebaseToken
@@ -267,26 +558,86 @@ const SetFCMTokenValidator = () => {
 /*
 The express validation chain for /updateField in User router.
 The user ID extracted through the Firebase token using VerifyFirebaseToken
-isLength({min:1}) ensures that the string is non-empty in the body or paramater. 
+Accepts either a single `field` and `info`, or a `fields` object to update several fields at once. The values
+themselves are checked against the user field schema by UsersDb.update.updateFields.
 .bail() ensures that the request does not proceed to another validator further if the current validation fails.
 */
 const UpdateFieldValidator = () => {
   return [
     BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
     BaseAuthorizationHeaderValidator().custom(VerifyAccessToken),
-    body("field").isLength({ min: 1 }).trim().withMessage(`${ERROR_CODES.MISSING_PARAMATER} field`).bail(),
-    body("info").isLength({ min: 1 }).trim().withMessage(`${ERROR_CODES.MISSING_PARAMATER} info`).bail(),
+    body("fields").if(body("field").not().exists()).isObject().withMessage(`${ERROR_CODES.MISSING_PARAMATER} fields`).bail(),
+    body("field").if(body("fields").not().exists()).isString().isLength({ min: 1 }).withMessage(`${ERROR_CODES.MISSING_PARAMATER} field`).bail(),
+    body("info").if(body("fields").not().exists()).exists().withMessage(`${ERROR_CODES.MISSING_PARAMATER} info`).bail(),
   ];
 };
 
 /*
-The express validation chain for /delete in User router.
+The express validation chain for /changeUsername in User router.
+The username rules themselves are applied by UsersDb.update.changeUsername.
+*/
+const ChangeUsernameValidator = () => {
+  return [
+    BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
+    BaseAuthorizationHeaderValidator().custom(VerifyAccessToken),
+    body("username").isLength({ min: 1 }).trim().withMessage(`${ERROR_CODES.MISSING_PARAMATER} username`).bail(),
+  ];
+};
+
+/*
+The express validation chain for /delete and /delete/cancel in User router.
 The user ID extracted through the Firebase token using VerifyFirebaseToken
+graceDays is optional and, when given, must be a non-negative integer.
 */
 const DeleteValidator = () => {
   return [
     BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
     BaseAuthorizationHeaderValidator().custom(VerifyAccessToken),
+    body("graceDays").optional().isInt({ min: 0, max: 90 }).toInt().withMessage(`${ERROR_CODES.MISSING_PARAMATER} graceDays`).bail(),
+  ];
+};
+
+/*
+The express validation chain for /auditLog in User router.
+Requires a valid access token. limit and cursor page through the history, newest first.
+*/
+const AuditLogValidator = () => {
+  return [
+    BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
+    BaseAuthorizationHeaderValidator().custom(VerifyAccessToken),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage(`${ERROR_CODES.MISSING_PARAMATER} limit`).bail(),
+    query("cursor").optional().isString().isLength({ min: 1 }).withMessage(`${ERROR_CODES.MISSING_PARAMATER} cursor`).bail(),
+  ];
+};
+
+/*
+The express validation chain for /admin/auditLog in User router.
+The caller must have the admin custom claim and a valid access token.
+type, userId, from and to (ISO 8601) are optional filters.
+*/
+const AdminAuditLogValidator = () => {
+  return [
+    BaseAuthorizationHeaderValidator().custom(VerifyFirebaseAdminToken),
+    BaseAuthorizationHeaderValidator().custom(VerifyAccessToken),
+    query("type").optional().isIn(Object.values(AUDIT_EVENTS)).withMessage(`${ERROR_CODES.MISSING_PARAMATER} type`).bail(),
+    query("userId").optional().isString().isLength({ min: 1 }).withMessage(`${ERROR_CODES.MISSING_PARAMATER} userId`).bail(),
+    query("from").optional().isISO8601().withMessage(`${ERROR_CODES.MISSING_PARAMATER} from`).bail(),
+    query("to").optional().isISO8601().withMessage(`${ERROR_CODES.MISSING_PARAMATER} to`).bail(),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage(`${ERROR_CODES.MISSING_PARAMATER} limit`).bail(),
+    query("cursor").optional().isString().isLength({ min: 1 }).withMessage(`${ERROR_CODES.MISSING_PARAMATER} cursor`).bail(),
+  ];
+};
+
+/*
+The express validation chain for /export in User router.
+Requires a valid access token, like /delete.
+format is optional and must be json or zip.
+*/
+const ExportValidator = () => {
+  return [
+    BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
+    BaseAuthorizationHeaderValidator().custom(VerifyAccessToken),
+    query("format").optional().isIn(["json", "zip"]).withMessage(`${ERROR_CODES.MISSING_PARAMATER} format`).bail(),
   ];
 };
 
@@ -305,12 +656,42 @@ const GetAvailableAuthMethodsValidator = () => {
 };
 
 /*
-The express validation chain for /delete in User router.
+The express validation chain for /registeredOrganizations in User router.
 The user ID extracted through the Firebase token using VerifyFirebaseToken
+limit, cursor, sortBy (organizationId, the default, or linkedAt) and order (asc or desc) are optional.
 */
 const RegisteredOrganizationsalidator = () => {
   return [
-    BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken)
+    BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
+    query("limit").optional().isInt({ min: 1, max: 50 }).withMessage(`${ERROR_CODES.MISSING_PARAMATER} limit`).bail(),
+    query("cursor").optional().isString().isLength({ min: 1 }).withMessage(`${ERROR_CODES.MISSING_PARAMATER} cursor`).bail(),
+    query("sortBy").optional().isIn(["linkedAt", "organizationId"]).withMessage(`${ERROR_CODES.MISSING_PARAMATER} sortBy`).bail(),
+    query("order").optional().isIn(["asc", "desc"]).withMessage(`${ERROR_CODES.MISSING_PARAMATER} order`).bail(),
+  ];
+};
+
+/*
+The express validation chain for /organizations/leave in User router.
+Requires a valid access token, like /delete.
+*/
+const LeaveOrganizationValidator = () => {
+  return [
+    BaseAuthorizationHeaderValidator().custom(VerifyFirebaseToken),
+    BaseAuthorizationHeaderValidator().custom(VerifyAccessToken),
+    body("organizationId").isLength({ min: 1 }).trim().withMessage(`${ERROR_CODES.MISSING_PARAMATER} organizationId`).bail(),
+  ];
+};
+
+/*
+The express validation chain for /organizations/removeUser in User router.
+The request is signed by the organization like /getAvailableAuthMethods; encData carries the userId.
+*/
+const RemoveOrganizationUserValidator = () => {
+  return [
+    body("encData").isLength({ min: 1 }).trim().withMessage(`${ERROR_CODES.MISSING_PARAMATER} encData`).bail(),
+    body("hash").isLength({ min: 1 }).trim().withMessage(`${ERROR_CODES.MISSING_PARAMATER} hash`).bail(),
+    body("organizationId").isLength({ min: 1 }).trim().withMessage(`${ERROR_CODES.MISSING_PARAMATER} organizationId`).bail(),
+    body("time").isLength({ min: 1 }).trim().withMessage(`${ERROR_CODES.MISSING_PARAMATER} time`).bail()
   ];
 };
 
@@ -319,16 +700,46 @@ module.exports = {
   UserBasicLoginValidator,
   UserRegistrationValidator,
   UserRegistrationStep2Validator,
+  FederatedSignInValidator,
   VerifyFirebaseToken,
   VerifyAccessToken,
+  VerifyAccessTokenIfEnrolled,
   AuthValidate,
   SetFCMTokenValidator,
   StoreAccessTokenValidator,
+  SmartEvaluateValidator,
+  SessionsValidator,
+  RevokeSessionValidator,
+  RevokeTrustedDeviceValidator,
+  RefreshAccessTokenValidator,
+  LogoutValidator,
+  TotpEnrollValidator,
+  TotpConfirmValidator,
+  TotpVerifyValidator,
+  WebAuthnRegistrationOptionsValidator,
+  WebAuthnRegistrationVerifyValidator,
+  WebAuthnAuthenticationOptionsValidator,
+  WebAuthnAuthenticationVerifyValidator,
+  GenerateRecoveryCodesValidator,
+  VerifyRecoveryCodeValidator,
   UpdatePhoneNumberValidator,
+  SendPhoneCodeValidator,
+  VerifyPhoneCodeValidator,
+  SendLoginCodeValidator,
+  VerifyLoginCodeValidator,
+  ConfirmPhoneChangeValidator,
+  CancelPhoneChangeValidator,
+  CancelPhoneChangeWithTokenValidator,
   UpdateFieldValidator,
+  ChangeUsernameValidator,
   DeleteValidator,
+  ExportValidator,
+  AuditLogValidator,
+  AdminAuditLogValidator,
   GetAvailableAuthMethodsValidator,
   CheckAccessTokenMiddleware,
   CheckPhoneNumberChangeValidator,
-  RegisteredOrganizationsalidator
+  RegisteredOrganizationsalidator,
+  LeaveOrganizationValidator,
+  RemoveOrganizationUserValidator
 };
@@ -2,33 +2,74 @@ const express = require("express");
 const {
   UserBasicLoginValidator,
   UserRegistrationValidator,
+  FederatedSignInValidator,
   AuthValidate,
   UpdatePhoneNumberValidator,
+  SendPhoneCodeValidator,
+  VerifyPhoneCodeValidator,
+  SendLoginCodeValidator,
+  VerifyLoginCodeValidator,
+  ConfirmPhoneChangeValidator,
+  CancelPhoneChangeValidator,
+  CancelPhoneChangeWithTokenValidator,
   SetFCMTokenValidator,
   StoreAccessTokenValidator,
+  SmartEvaluateValidator,
+  SessionsValidator,
+  RevokeSessionValidator,
+  RevokeTrustedDeviceValidator,
+  RefreshAccessTokenValidator,
+  LogoutValidator,
+  TotpEnrollValidator,
+  TotpConfirmValidator,
+  TotpVerifyValidator,
+  WebAuthnRegistrationOptionsValidator,
+  WebAuthnRegistrationVerifyValidator,
+  WebAuthnAuthenticationOptionsValidator,
+  WebAuthnAuthenticationVerifyValidator,
+  GenerateRecoveryCodesValidator,
+  VerifyRecoveryCodeValidator,
   UpdateFieldValidator,
+  ChangeUsernameValidator,
   DeleteValidator,
+  ExportValidator,
+  AuditLogValidator,
+  AdminAuditLogValidator,
   GetAvailableAuthMethodsValidator,
   CheckAccessTokenMiddleware,
   CheckPhoneNumberChangeValidator,
-  RegisteredOrganizationsalidator
+  RegisteredOrganizationsalidator,
+  LeaveOrganizationValidator,
+  RemoveOrganizationUserValidator
 } = require("../middleware/userMiddleware");
 const UsersDb = require("../database/user.js");
-const DeviceDb = require("../database/device.js");
 const OrganizationDb = require("../database/organization.js");
 const DevicesDb = require("../database/device");
+const AuthMethods = require("../database/authMethods.js");
+const SessionDb = require("../database/session.js");
+const TotpDb = require("../database/totp.js");
+const WebAuthnDb = require("../database/webauthn.js");
+const RecoveryCodesDb = require("../database/recoveryCodes.js");
+const UserExport = require("../database/userExport.js");
+const PhoneVerificationDb = require("../database/phoneVerification.js");
+const AuditLogDb = require("../database/auditLog.js");
+const RiskEngine = require("../database/riskEngine.js");
+const TrustedDeviceDb = require("../database/trustedDevice.js");
 const { GetAuthJWTValidator } = require("../middleware/organizationMiddleware");
-const jwt = require("jsonwebtoken");
-const createError = require("http-errors");
+const { RateLimit } = require("../middleware/rateLimitMiddleware");
+const { AppError } = require("../database/errors.js");
+const { RequestId, ErrorHandler } = require("../middleware/errorMiddleware");
 const { EndUserInstance } = require("twilio/lib/rest/trusthub/v1/endUser");
 const UserRouter = express.Router();
 
+UserRouter.use(RequestId);
+
 // ----------------------------------------------GET----------------------------------------------------- //
 
 /**
  * Get basic info for a user.
  */
-UserRouter.get("/basicInfo", UserBasicLoginValidator(), AuthValidate, CheckAccessTokenMiddleware, async (req, res) => {
+UserRouter.get("/basicInfo", UserBasicLoginValidator(), AuthValidate, CheckAccessTokenMiddleware, async (req, res, next) => {
   let userId = req.body.userId;
   UsersDb.read
     .GetUserFromUID(userId)
@@ -36,98 +77,133 @@ UserRouter.get("/basicInfo", UserBasicLoginValidator(), AuthValidate, CheckAcces
       //blur phone number
       const phoneNumber = basicInfo.phoneNumber;
       basicInfo.phoneNumber = phoneNumber.substring(0, 2) + "(***) ***-" + phoneNumber.substring(8, 12);
-      //get available auth methods for the user --------------------------
-      //sms is always avaliable since must have verified phone number
-      const availableMethods = { SMS: basicInfo.phoneVerified };
-
-      //find number of mobile and desktop devices
-      const totalDeviceCount = (await DevicesDb.read.getAllDevices(userId)).length;
-      const mobileDeviceCount = (await DevicesDb.read.getAllMobileDevices(userId)).length;
-      const desktopDeviceCount = totalDeviceCount - mobileDeviceCount;
-
-      //if at least 1 mobile, can user QR + at least 1 desktop, can also use SSID
-      availableMethods.QR = mobileDeviceCount > 0;
-      availableMethods.SSID = desktopDeviceCount > 0 && mobileDeviceCount > 0;
-      availableMethods.Geolocation = desktopDeviceCount > 0 && mobileDeviceCount > 0;
-
-      if (availableMethods.SSID) {
-        availableMethods.Smart = true;
-      }
+      //get available auth methods for the user
+      const availableMethods = await AuthMethods.getAvailableAuthMethods(userId);
+      const recoveryCodesRemaining = await RecoveryCodesDb.read.getRemainingCount(userId);
+      const trustedDeviceMaxDays = await TrustedDeviceDb.read.getMaxTrustedDays(userId);
 
       res.status(200).json({
         userId: req.body.userId,
         ...basicInfo,
         availableAuthMethods: availableMethods,
-        hasAccess: req.body.hasAccess
+        recoveryCodesRemaining: recoveryCodesRemaining,
+        hasAccess: req.body.hasAccess,
+        //a trusted browser can call /storeAccessToken without a successJWT
+        trustedDevice: Boolean(req.body.trustedDeviceId),
+        trustedDeviceMaxDays: trustedDeviceMaxDays
       });
     })
     .catch((error) => {
-      console.error(`${error.message}`);
-      res.status(error.status).json({ error: error.message });
+      next(error);
     });
 });
 
-UserRouter.get("/registeredOrganizations", RegisteredOrganizationsalidator(), AuthValidate, async function (req, res) {
+/**
+ * Get one page of the organizations a user is linked to, with the user's serviceUserId there and the link date.
+ * Sorted by ?sortBy=organizationId (default) or linkedAt, which leaves out links made before linkedAt was recorded,
+ * and ?order=asc|desc; pass nextCursor as ?cursor for the next page.
+ */
+UserRouter.get("/registeredOrganizations", RegisteredOrganizationsalidator(), AuthValidate, async function (req, res, next) {
   const userId = req.body.userId;
   try {
-    const registeredOrganizations = await UsersDb.read.GetOrganizationsFromUID(userId);
+    const { links, nextCursor } = await UsersDb.read.GetOrganizationLinksFromUID(userId, {
+      limit: req.query.limit,
+      cursor: req.query.cursor,
+      sortBy: req.query.sortBy,
+      order: req.query.order
+    });
 
-    if (registeredOrganizations.length == 0) {
-      return res.status(401).json({ success: false, message: "No registered organizations"})
-    }
+    //fetch the page's organizations with a single read
+    const organizations = await UsersDb.read.GetOrganizationsInfo(links.map((link) => link.organizationId));
+    const organizationsInfo = links.map((link, index) => ({ ...organizations[index], ...link }));
 
-    let organizationsInfo = []
+    return res.status(200).json({ success: true, organizationsInfo: organizationsInfo, nextCursor: nextCursor });
 
-    for (organizationId of registeredOrganizations) {
-      let organizationInfo = await OrganizationDb.read.getOrganizationInfo(organizationId)
+  } catch (error) {
+    next(error);
+  }
+})
 
-      organizationsInfo.push(organizationInfo)
+/**
+ * Download everything stored about the user as JSON, or as a ZIP archive with ?format=zip. Secrets are excluded.
+ */
+UserRouter.get("/export", ExportValidator(), AuthValidate, async function (req, res, next) {
+  try {
+    const data = await UserExport.read.collectUserData(req.body.userId);
+
+    if (req.query.format === "zip") {
+      const archive = await UserExport.read.toZip(data);
+      res.attachment("user-data.zip");
+      return res.status(200).type("application/zip").send(archive);
     }
 
-    return res.status(200).json({ success: true, organizationsInfo: organizationsInfo });
+    res.attachment("user-data.json");
+    return res.status(200).json(data);
+  } catch (error) {
+    next(error);
+  }
+});
 
+/**
+ * Page through the user's own account history, newest first. Pass the returned nextCursor as ?cursor for the next page.
+ */
+UserRouter.get("/auditLog", AuditLogValidator(), AuthValidate, async function (req, res, next) {
+  try {
+    const page = await AuditLogDb.read.listUserEvents(req.body.userId, { limit: req.query.limit, cursor: req.query.cursor });
+    return res.status(200).json({ success: true, ...page });
   } catch (error) {
-    console.log(error);
-    if (!error.status) {
-      error.status = 500;
-    }
-    return res.status(error.status).json({ success: false, error: error.message });
+    next(error);
   }
-})
+});
+
+/**
+ * Search the account history of all users as an admin, filtered by event type, user and time range.
+ */
+UserRouter.get("/admin/auditLog", AdminAuditLogValidator(), AuthValidate, async function (req, res, next) {
+  try {
+    const { type, userId, from, to, limit, cursor } = req.query;
+    const page = await AuditLogDb.read.queryEvents({ type, userId, from, to }, { limit, cursor });
+    return res.status(200).json({ success: true, ...page });
+  } catch (error) {
+    next(error);
+  }
+});
 
 /**
- * Verify if a username is unique (does not exist in the firestore already).
+ * Verify if a username can be registered: it follows the character rules, is not reserved and is not taken.
+ * `reason` is "invalid", "reserved" or "taken" when it cannot.
  */
-UserRouter.get("/verifyUsername/:username", async function (req, res) {
+UserRouter.get("/verifyUsername/:username", RateLimit("verifyUsername"), async function (req, res, next) {
   if (!req.params.username) {
-    return res.status(500).json({ error: "Username not defined" });
+    return next(AppError("INVALID_PARAMETER", { param: "username" }));
   }
 
   UsersDb.read
-    .getUsernameUnique(req.params.username.toLowerCase())
-    .then((unique) => {
-      return res.status(200).json({ unique });
+    .getUsernameAvailability(req.params.username)
+    .then(({ available, reason }) => {
+      return res.status(200).json({ unique: available, reason });
     })
     .catch((error) => {
-      return res.status(500).json({ error: error.message });
+      next(error);
     });
 });
 
 /**
- * Check if the provided phone number is the same as the phone number stored in the database for a user.
+ * Check if the provided phone number is the same as the phone number stored in the database for a user,
+ * and report any pending phone number change.
  */
-UserRouter.get("/checkPhoneNumberChange/:phoneNumber", CheckPhoneNumberChangeValidator(), AuthValidate, async function (req, res) {
+UserRouter.get("/checkPhoneNumberChange/:phoneNumber", CheckPhoneNumberChangeValidator(), AuthValidate, RateLimit("checkPhoneNumberChange"), async function (req, res, next) {
   if(!req.params.phoneNumber) {
-    return res.status(500).json({error: "Phone number not provided."});
+    return next(AppError("INVALID_PARAMETER", { param: "phoneNumber" }));
   }
 
   try {
+    const pendingChange = await PhoneVerificationDb.read.getPendingPhoneChange(req.body.userId);
     const basicInfo = await UsersDb.read.GetUserFromUID(req.body.userId);
     const isSame = req.params.phoneNumber === basicInfo.phoneNumber;
-    return res.status(200).json({same: isSame});
+    return res.status(200).json({same: isSame, pending: pendingChange !== null, pendingChange: pendingChange});
   } catch (error) {
-    console.error(`${error.message}`);
-    res.status(error.status).json({ error: error.message });
+    next(error);
   }  
 })
 
@@ -136,106 +212,526 @@ UserRouter.get("/checkPhoneNumberChange/:phoneNumber", CheckPhoneNumberChangeVal
 /**
  * Application-wide testing route to check if POST requests can be successfully made to the backend.
  */
-UserRouter.post("/", async (req, res) => {
+UserRouter.post("/", async (req, res, next) => {
   return res.status(200).json({ response: req.body });
 });
 
 /**
  * Register/create a user with basic info in the firestore.
  */
-UserRouter.post("/registerStepOne", UserRegistrationValidator(), AuthValidate, async function (req, res) {
+UserRouter.post("/registerStepOne", UserRegistrationValidator(), AuthValidate, async function (req, res, next) {
   const user = req.body;
   UsersDb.create
     .createUser(user)
-    .then((result) => {
+    .then(async (result) => {
+      await recordAuditEvent(req, AuditLogDb.AUDIT_EVENTS.REGISTER, "success", { fields: ["username", "name", "phoneNumber"] });
       res.status(200).json({ success: true });
     })
-    .catch((error) => {
-      console.log(error);
-      return res.status(error.status).json({ error: error.message });
+    .catch(async (error) => {
+      await recordAuditEvent(req, AuditLogDb.AUDIT_EVENTS.REGISTER, "failure", { reason: error.message });
+      next(error);
     });
 });
 
+/**
+ * Called after every Google or OIDC sign-in. The first one creates the user record like /registerStepOne; later
+ * ones, and sign-ins whose provider was linked to an existing account, leave it unchanged.
+ * If the email belongs to a password account, the Firebase account this sign-in created is removed. The provider is
+ * then linked to the password account when both have verified the email, and the response has linked = true: the
+ * client signs in again with the provider's credential to reach that account. Otherwise the response is 409
+ * ACCOUNT_EXISTS and the client links the provider after the user signs in with the password.
+ */
+UserRouter.post("/federatedSignIn", FederatedSignInValidator(), AuthValidate, async (req, res, next) => {
+  const { provider, providerUid, email, emailVerified, name } = req.federatedIdentity;
+  try {
+    const { created, linked, userId } = await UsersDb.create.createFederatedUser({
+      userId: req.body.userId,
+      email: email,
+      emailVerified: emailVerified,
+      provider: provider,
+      providerUid: providerUid,
+      name: req.body.name || name,
+      username: req.body.username
+    });
+
+    if (created) {
+      await recordAuditEvent(req, AuditLogDb.AUDIT_EVENTS.REGISTER, "success", { fields: ["username", "name"], reason: provider });
+    }
+    if (linked) {
+      await AuditLogDb.create.recordEvent({
+        ...auditContext(req),
+        type: AuditLogDb.AUDIT_EVENTS.PROVIDER_LINKED,
+        userId: userId,
+        outcome: "success",
+        reason: provider
+      });
+      return res.status(200).json({ success: true, created: false, linked: true });
+    }
+    return res.status(200).json({ success: true, created });
+  } catch (error) {
+    await recordAuditEvent(req, AuditLogDb.AUDIT_EVENTS.REGISTER, "failure", { reason: `${provider}: ${error.message}` });
+    next(error);
+  }
+});
+
 /**
  * Stores an access token with userId and isAccessToken = true
- * In body, must receive successJWT and must receive a firebase auth token in the header.
+ * In body, must receive successJWT and must receive a firebase auth token in the header. A successJWT starts one
+ * session only; access, refresh and trustedDevice tokens are not accepted in its place.
+ * A browser holding a valid trustedDevice cookie may leave out the successJWT. With trustDevice = true, the browser
+ * is trusted for trustDays (capped by the user's organizations) after this second factor.
  */
-UserRouter.post("/storeAccessToken", StoreAccessTokenValidator(), AuthValidate, async (req, res, next) => {
+UserRouter.post("/storeAccessToken", StoreAccessTokenValidator(), AuthValidate, RateLimit("storeAccessToken"), CheckAccessTokenMiddleware, async (req, res, next) => {
   try {
-    //validate the given successJWT and check if UID matches UID in JWT
-    let userId;
-    try {
-      userId = jwt.verify(req.body.successJWT, process.env.JWT_SECRET_KEY).userId;
-    } catch (error) {
-      console.log(error);
-      throw createError(406, "Success JWT Invalid.");
+    //validate and use up the given successJWT, which must be issued to this user, unless the device is trusted
+    const userId = req.body.userId;
+    let successData;
+    if (req.body.successJWT || !req.body.trustedDeviceId) {
+      successData = await SessionDb.update.consumeSuccessJWT(req.body.successJWT, userId);
     }
 
-    if (userId !== req.body.userId) {
-      throw createError(401, "Users do not match.");
+    //start a session and store its tokens in http only cookies
+    const tokens = await SessionDb.create.createSession(userId, sessionClient(req));
+    setSessionCookies(res, tokens);
+    await RiskEngine.update.recordLoginLocation(userId, req.body.location);
+
+    //trusting a device takes a second factor, so neither a trusted device nor a Smart "allow" can grant trust
+    let trustedUntil = null;
+    if (req.body.trustDevice && successData && successData.factor !== "Smart") {
+      const trusted = await TrustedDeviceDb.create.trustDevice(userId, req.body.trustDays, sessionClient(req));
+      if (trusted) {
+        res.cookie("trustedDevice", trusted.token, { ...SESSION_COOKIE_OPTIONS, expires: trusted.expiresAt });
+        trustedUntil = trusted.expiresAt;
+        await recordAuditEvent(req, AuditLogDb.AUDIT_EVENTS.DEVICE_TRUSTED, "success", { fields: ["trustedDevices"] });
+      }
     }
 
-    //create JWT with uid
-    const accessToken = jwt.sign({ userId: userId, isAccessToken: true }, process.env.JWT_SECRET_KEY, {
-      expiresIn: 6000,
+    await recordAuditEvent(req, AuditLogDb.AUDIT_EVENTS.STORE_ACCESS_TOKEN, "success", {
+      reason: req.body.successJWT ? undefined : "trustedDevice"
     });
-    console.log(accessToken)
-    // res.header('Access-Control-Allow-Credentials', true);
-    // // res.header('Access-Control-Expose-Headers', 'set-cookie'); // Add this line
-
-    // res.setHeader('Access-Control-Expose-Headers', '*')
-    //store in a http only cookie
-    res.cookie('accessToken', accessToken, 
-    {
-      httpOnly: true, // This makes the cookie HTTP-only
-      secure: true, // This ensures the cookie is only sent over HTTPS,
-      sameSite: "None",
-      maxAge: "100000000"
+    res.status(200).json({ message: "Successfully stored access token.", trustedUntil: trustedUntil });
+  } catch (error) {
+    await recordAuditEvent(req, AuditLogDb.AUDIT_EVENTS.STORE_ACCESS_TOKEN, "failure", { reason: error.message });
+    next(error);
+  }
+});
+
+/**
+ * The "Smart" second factor: scores the sign-in from the device, network, Wi-Fi, location, time of day and recent
+ * failures, and decides whether the user may continue without a factor (decision "allow", with a successJWT for
+ * /storeAccessToken that cannot trust the device), with the least intrusive one ("stepUp") or only with a strong one
+ * ("strongFactor"). Only a browser with a live session of the user can be allowed.
+ * The methods to offer and the reasons behind the score are returned either way.
+ */
+UserRouter.post("/smart/evaluate", SmartEvaluateValidator(), AuthValidate, async (req, res, next) => {
+  try {
+    const availableMethods = await AuthMethods.getAvailableAuthMethods(req.body.userId, req.body.organizationId);
+    if (!availableMethods.Smart) {
+      throw AppError("SMART_NOT_AVAILABLE");
     }
+
+    const evaluation = await RiskEngine.read.evaluateLogin(
+      req.body.userId,
+      {
+        ip: req.ip,
+        refreshToken: req.cookies.refreshToken,
+        ssid: req.body.ssid,
+        location: req.body.location,
+        utcOffsetMinutes: req.body.utcOffsetMinutes
+      },
+      req.body.organizationId
     );
-    
 
+    await recordAuditEvent(req, AuditLogDb.AUDIT_EVENTS.RISK_EVALUATED, "success", {
+      reason: `${evaluation.decision} (score ${evaluation.score}): ${evaluation.reasons.map((reason) => reason.signal).join(", ") || "no risk signals"}`
+    });
+
+    const response = { success: true, ...evaluation };
+    if (evaluation.decision === "allow") {
+      response.successJWT = SessionDb.create.signSuccessJWT(req.body.userId, "Smart");
+    }
+    return res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Exchange the refresh token cookie for a new access token. The refresh token is rotated on every use.
+ */
+UserRouter.post("/refreshAccessToken", RefreshAccessTokenValidator(), AuthValidate, async (req, res, next) => {
+  try {
+    const tokens = await SessionDb.update.refreshSession(req.cookies.refreshToken, req.body.userId, req.ip);
+    setSessionCookies(res, tokens);
+
+    res.status(200).json({ message: "Successfully refreshed access token." });
+  } catch (error) {
+    clearSessionCookies(res);
+    next(error);
+  }
+});
+
+/**
+ * Log out of the 2FA session: revoke the session and its access token and clear the cookies.
+ */
+UserRouter.post("/logout", LogoutValidator(), AuthValidate, async (req, res, next) => {
+  try {
+    await SessionDb.delete.endSession(req.body.userId, req.cookies);
+    clearSessionCookies(res);
+
+    res.status(200).json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List the devices the user is signed in on with their IP, user agent, creation and last-seen times. The session
+ * making the request is flagged as current.
+ */
+UserRouter.get("/sessions", SessionsValidator(), AuthValidate, async (req, res, next) => {
+  try {
+    const sessions = await SessionDb.read.listSessions(req.body.userId, req.body.sessionId);
+    return res.status(200).json({ success: true, sessions });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.status(200).json({ message: "Successfully stored access token."});
+/**
+ * Revoke one of the user's sessions. Its access and refresh tokens stop working immediately. Revoking the current
+ * session also clears its cookies.
+ */
+UserRouter.post("/sessions/:sessionId/revoke", RevokeSessionValidator(), AuthValidate, async (req, res, next) => {
+  try {
+    const revoked = await SessionDb.delete.revokeSession(req.body.userId, req.params.sessionId, "revokedByUser");
+    if (!revoked) {
+      throw AppError("SESSION_NOT_FOUND");
+    }
+    await recordAuditEvent(req, AuditLogDb.AUDIT_EVENTS.SESSION_REVOKED, "success", { fields: ["sessions"] });
+
+    if (req.params.sessionId === req.body.sessionId) {
+      clearSessionCookies(res);
+    }
+    return res.status(200).json({ success: true });
   } catch (error) {
-    console.log(error);
-    if (!error.status) {
-      error.status = 500;
+    next(error);
+  }
+});
+
+/**
+ * Sign out of every other device: revoke all of the user's sessions except the one making the request.
+ */
+UserRouter.post("/sessions/revokeOthers", SessionsValidator(), AuthValidate, async (req, res, next) => {
+  try {
+    const revoked = await SessionDb.delete.revokeOtherSessions(req.body.userId, req.body.sessionId);
+    await recordAuditEvent(req, AuditLogDb.AUDIT_EVENTS.SESSION_REVOKED, "success", { fields: ["sessions"] });
+    return res.status(200).json({ success: true, revoked });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List the browsers the user trusts to skip the second factor, with when they were trusted, last used and expire.
+ * The browser making the request is flagged as current.
+ */
+UserRouter.get("/trustedDevices", SessionsValidator(), AuthValidate, async (req, res, next) => {
+  try {
+    const trustedDevices = await TrustedDeviceDb.read.listTrustedDevices(req.body.userId, req.cookies.trustedDevice);
+    return res.status(200).json({ success: true, trustedDevices });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Stop trusting one browser. Its next sign-in requires a second factor again.
+ */
+UserRouter.post("/trustedDevices/:deviceId/revoke", RevokeTrustedDeviceValidator(), AuthValidate, async (req, res, next) => {
+  try {
+    const revoked = await TrustedDeviceDb.delete.revokeTrustedDevice(req.body.userId, req.params.deviceId);
+    if (!revoked) {
+      throw AppError("TRUSTED_DEVICE_NOT_FOUND");
+    }
+    await recordAuditEvent(req, AuditLogDb.AUDIT_EVENTS.TRUSTED_DEVICE_REVOKED, "success", { fields: ["trustedDevices"] });
+
+    if (TrustedDeviceDb.read.deviceIdFromToken(req.cookies.trustedDevice, req.body.userId) === req.params.deviceId) {
+      res.clearCookie("trustedDevice", SESSION_COOKIE_OPTIONS);
     }
-    return res.status(error.status).json({ error: error.message });
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Stop trusting every browser, including the one making the request.
+ */
+UserRouter.post("/trustedDevices/revokeAll", SessionsValidator(), AuthValidate, async (req, res, next) => {
+  try {
+    const revoked = await TrustedDeviceDb.delete.revokeAllTrustedDevices(req.body.userId, "revokedByUser");
+    await recordAuditEvent(req, AuditLogDb.AUDIT_EVENTS.TRUSTED_DEVICE_REVOKED, "success", { fields: ["trustedDevices"] });
+
+    res.clearCookie("trustedDevice", SESSION_COOKIE_OPTIONS);
+    return res.status(200).json({ success: true, revoked });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Start enrolling an authenticator app. Returns the secret and the otpauth:// URI to display as a QR code.
+ */
+UserRouter.post("/totp/enroll", TotpEnrollValidator(), AuthValidate, async (req, res, next) => {
+  try {
+    const { secret, uri } = await TotpDb.create.beginEnrollment(req.body.userId);
+    return res.status(200).json({ success: true, secret, uri });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Finish enrolling an authenticator app with the first code it shows.
+ */
+UserRouter.post("/totp/confirm", TotpConfirmValidator(), AuthValidate, async (req, res, next) => {
+  try {
+    await TotpDb.update.confirmEnrollment(req.body.userId, req.body.code);
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Use an authenticator app code as the second factor. Returns the successJWT consumed by /storeAccessToken.
+ */
+UserRouter.post("/totp/verify", TotpVerifyValidator(), AuthValidate, RateLimit("totpVerify"), async (req, res, next) => {
+  try {
+    await TotpDb.update.verifyCode(req.body.userId, req.body.code);
+    return res.status(200).json({ success: true, successJWT: SessionDb.create.signSuccessJWT(req.body.userId, "TOTP") });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Send a sign-in code to the user's verified phone number, the SMS second factor.
+ */
+UserRouter.post("/sms/send", SendLoginCodeValidator(), AuthValidate, RateLimit("smsSend"), async (req, res, next) => {
+  try {
+    const { expiresAt } = await PhoneVerificationDb.create.sendLoginCode(req.body.userId);
+    return res.status(200).json({ success: true, expiresAt });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Use the code sent by /sms/send as the second factor. Returns the successJWT consumed by /storeAccessToken.
+ */
+UserRouter.post("/sms/verify", VerifyLoginCodeValidator(), AuthValidate, RateLimit("smsVerify"), async (req, res, next) => {
+  try {
+    await PhoneVerificationDb.update.verifyLoginCode(req.body.userId, req.body.code);
+    return res.status(200).json({ success: true, successJWT: SessionDb.create.signSuccessJWT(req.body.userId, "SMS") });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Start registering a security key or platform passkey. Returns the options for navigator.credentials.create().
+ */
+UserRouter.post("/webauthn/register/options", WebAuthnRegistrationOptionsValidator(), AuthValidate, async (req, res, next) => {
+  try {
+    const options = await WebAuthnDb.registration.generateRegistration(req.body.userId);
+    return res.status(200).json({ success: true, options });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Finish registering a security key with the attestation returned by the browser.
+ */
+UserRouter.post("/webauthn/register/verify", WebAuthnRegistrationVerifyValidator(), AuthValidate, async (req, res, next) => {
+  try {
+    const { credentialId } = await WebAuthnDb.registration.verifyRegistration(req.body.userId, req.body.credential, req.body.name);
+    return res.status(200).json({ success: true, credentialId });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Start a security key assertion. Returns the options for navigator.credentials.get().
+ */
+UserRouter.post("/webauthn/authenticate/options", WebAuthnAuthenticationOptionsValidator(), AuthValidate, async (req, res, next) => {
+  try {
+    const options = await WebAuthnDb.authentication.generateAuthentication(req.body.userId);
+    return res.status(200).json({ success: true, options });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Use a security key assertion as the second factor. Returns the successJWT consumed by /storeAccessToken.
+ */
+UserRouter.post("/webauthn/authenticate/verify", WebAuthnAuthenticationVerifyValidator(), AuthValidate, RateLimit("webauthnVerify"), async (req, res, next) => {
+  try {
+    await WebAuthnDb.authentication.verifyAuthentication(req.body.userId, req.body.credential);
+    return res.status(200).json({ success: true, successJWT: SessionDb.create.signSuccessJWT(req.body.userId, "WebAuthn") });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Generate a new set of one-time recovery codes, invalidating the previous set. The codes are only shown this once.
+ */
+UserRouter.post("/recoveryCodes/generate", GenerateRecoveryCodesValidator(), AuthValidate, async (req, res, next) => {
+  try {
+    const codes = await RecoveryCodesDb.create.generateRecoveryCodes(req.body.userId);
+    return res.status(200).json({ success: true, codes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Use a recovery code in place of the second factor. Returns the successJWT consumed by /storeAccessToken and the
+ * number of codes left.
+ */
+UserRouter.post("/recoveryCodes/verify", VerifyRecoveryCodeValidator(), AuthValidate, RateLimit("recoveryCodeVerify"), async (req, res, next) => {
+  try {
+    const remaining = await RecoveryCodesDb.update.consumeRecoveryCode(req.body.userId, req.body.code);
+    return res.status(200).json({
+      success: true,
+      successJWT: SessionDb.create.signSuccessJWT(req.body.userId, "RecoveryCode"),
+      recoveryCodesRemaining: remaining
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
 // ----------------------------------------------UPDATE----------------------------------------------------- //
 
 /**
- * Updatea a particular field for a user in the firestore.
+ * Update one or more user-editable fields for a user in the firestore. Send either `field` and `info`, or a `fields`
+ * object; multiple fields are applied atomically.
  */
 UserRouter.post("/updateField", UpdateFieldValidator(), AuthValidate, async (req, res, next) => {
   const userId = req.body.userId;
-  const field = req.body.field;
-  const info = req.body.info;
+  const updates = req.body.fields || { [req.body.field]: req.body.info };
 
   UsersDb.update
-    .updateField(userId, field, info)
-    .then((result) => {
+    .updateFields(userId, updates)
+    .then(async (result) => {
+      await recordAuditEvent(req, AuditLogDb.AUDIT_EVENTS.UPDATE_FIELD, "success", { fields: Object.keys(updates) });
       res.status(200).json({ success: true });
     })
-    .catch((error) => {
-      console.log(error.message);
-      return res.status(error.status).json({ error: error.message });
+    .catch(async (error) => {
+      await recordAuditEvent(req, AuditLogDb.AUDIT_EVENTS.UPDATE_FIELD, "failure", { fields: Object.keys(updates || {}), reason: error.message });
+      next(error);
     });
 });
 
 /**
- * Update the phone number of a user in the firestore.
+ * Change the username of a user. The old username is released and the new one reserved atomically.
  */
-UserRouter.post("/updatePhone/:phoneNumber", UpdatePhoneNumberValidator(), AuthValidate, async (req, res) => {
-  let queryTime = await UsersDb.update.updatePhoneNumber(req.body.userId, req.params.phoneNumber).catch((error) => {
-    console.log(error);
-    return res.status(error.status).json({ error: error.message });
-  });
-  return res.status(200).json({ success: true });
+UserRouter.post("/changeUsername", ChangeUsernameValidator(), AuthValidate, async (req, res, next) => {
+  try {
+    await UsersDb.update.changeUsername(req.body.userId, req.body.username);
+    await recordAuditEvent(req, AuditLogDb.AUDIT_EVENTS.UPDATE_FIELD, "success", { fields: ["username"] });
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    await recordAuditEvent(req, AuditLogDb.AUDIT_EVENTS.UPDATE_FIELD, "failure", { fields: ["username"], reason: error.message });
+    next(error);
+  }
+});
+
+/**
+ * Request a change of the user's phone number. The new number is kept pending until it is confirmed with the code
+ * sent to it (/phone/confirmChange); the old number is alerted and can cancel the change during the review window.
+ */
+UserRouter.post("/updatePhone/:phoneNumber", UpdatePhoneNumberValidator(), AuthValidate, async (req, res, next) => {
+  try {
+    const pendingChange = await PhoneVerificationDb.create.requestPhoneChange(req.body.userId, req.params.phoneNumber);
+    await recordAuditEvent(req, AuditLogDb.AUDIT_EVENTS.UPDATE_PHONE, "success", { fields: ["pendingPhoneChange"] });
+    return res.status(202).json({ success: true, pendingChange });
+  } catch (error) {
+    await recordAuditEvent(req, AuditLogDb.AUDIT_EVENTS.UPDATE_PHONE, "failure", { fields: ["pendingPhoneChange"], reason: error.message });
+    next(error);
+  }
+});
+
+/**
+ * Confirm a pending phone number change with the code sent to the new number.
+ */
+UserRouter.post("/phone/confirmChange", ConfirmPhoneChangeValidator(), AuthValidate, async (req, res, next) => {
+  try {
+    const result = await PhoneVerificationDb.update.confirmPhoneChange(req.body.userId, req.body.code);
+    await recordAuditEvent(req, AuditLogDb.AUDIT_EVENTS.UPDATE_PHONE, "success", {
+      fields: result.applied ? ["phoneNumber", "phoneVerified"] : ["pendingPhoneChange"]
+    });
+    if (result.applied) {
+      return res.status(200).json({ success: true, applied: true });
+    }
+    return res.status(200).json({ success: true, applied: false, pendingChange: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Cancel a pending phone number change as the signed-in user.
+ */
+UserRouter.post("/phone/cancelChange", CancelPhoneChangeValidator(), AuthValidate, async (req, res, next) => {
+  try {
+    await PhoneVerificationDb.delete.cancelPhoneChange(req.body.userId);
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Cancel a pending phone number change from the link sent to the old phone number.
+ */
+UserRouter.post("/phone/cancelChangeWithToken", CancelPhoneChangeWithTokenValidator(), AuthValidate, async (req, res, next) => {
+  try {
+    await PhoneVerificationDb.delete.cancelPhoneChange(req.body.userId, req.body.token);
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Send a one-time code to the user's phone number to verify it.
+ */
+UserRouter.post("/phone/sendCode", SendPhoneCodeValidator(), AuthValidate, RateLimit("phoneSendCode"), async (req, res, next) => {
+  try {
+    const { expiresAt } = await PhoneVerificationDb.create.sendVerificationCode(req.body.userId);
+    return res.status(200).json({ success: true, expiresAt });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Mark the user's phone number as verified with the code sent by /phone/sendCode.
+ */
+UserRouter.post("/phone/verifyCode", VerifyPhoneCodeValidator(), AuthValidate, RateLimit("phoneVerifyCode"), async (req, res, next) => {
+  try {
+    await PhoneVerificationDb.update.verifyPhoneNumber(req.body.userId, req.body.code);
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    next(error);
+  }
 });
 
 // /**
@@ -258,54 +754,137 @@ UserRouter.post("/updatePhone/:phoneNumber", UpdatePhoneNumberValidator(), AuthV
 // ----------------------------------------------DELETE----------------------------------------------------- //
 
 /**
- * Delete a user by userId from the firestore.
+ * Unlink the signed-in user from an organization. Hashes already issued to the organization are discarded.
+ */
+UserRouter.post("/organizations/leave", LeaveOrganizationValidator(), AuthValidate, async (req, res, next) => {
+  try {
+    await UsersDb.delete.removeOrganizationFromUser(req.body.userId, req.body.organizationId, auditContext(req));
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Remove a user from the requesting organization. Called by the organization's backend with a signed request.
  */
-UserRouter.post("/delete", DeleteValidator(), AuthValidate, async (req, res) => {
+UserRouter.post("/organizations/removeUser", RemoveOrganizationUserValidator(), AuthValidate, async (req, res, next) => {
+  try {
+    //decrypt encData to get userId
+    await OrganizationDb.validate.validateOrganizationRequest(req);
+
+    await UsersDb.delete.removeOrganizationFromUser(req.body.userId, req.body.organizationId, {
+      ...auditContext(req),
+      actor: { type: "organization", id: req.body.organizationId }
+    });
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete a user by userId: every subcollection, pending hashes, organization links and the Firebase Auth account.
+ * With a grace period (`graceDays` or ACCOUNT_DELETION_GRACE_DAYS) the deletion is only scheduled and can be undone
+ * with /delete/cancel; the response is then 202. Scheduled deletions are carried out by the maintenance job once the
+ * grace period ends.
+ */
+UserRouter.post("/delete", DeleteValidator(), AuthValidate, async (req, res, next) => {
   const userId = req.body.userId;
   UsersDb.delete
-    .DeleteUserFromUID(userId)
-    .then((writeTime) => {
-      res.status(200).json({ success: true });
+    .RequestUserDeletion(userId, req.body.graceDays)
+    .then(async (result) => {
+      await recordAuditEvent(req, AuditLogDb.AUDIT_EVENTS.DELETE, "success", { reason: result.status });
+      if (result.status === "completed") {
+        SessionDb.delete.endSession(userId, req.cookies).catch(() => {});
+        clearSessionCookies(res);
+      }
+      res.status(result.status === "scheduled" ? 202 : 200).json({ success: true, ...result });
     })
-    .catch((error) => {
-      res.status(500).json({ error: error });
+    .catch(async (error) => {
+      await recordAuditEvent(req, AuditLogDb.AUDIT_EVENTS.DELETE, "failure", { reason: error.message });
+      next(error);
     });
 });
 
 /**
- * Get which authentication method (SSID, QR, SMS) a user can use depending on their registered devices
+ * Cancel a deletion scheduled by /delete during its grace period.
  */
-UserRouter.post("/getAvailableAuthMethods", GetAvailableAuthMethodsValidator(), AuthValidate, async (req, res) => {
+UserRouter.post("/delete/cancel", DeleteValidator(), AuthValidate, async (req, res, next) => {
   try {
-    //sms is always avaliable since must have verified phone number
-    const availableMethods = { SMS: true, QR: false, SSID: false };
+    await UsersDb.delete.CancelUserDeletion(req.body.userId);
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
 
+/**
+ * Get which authentication methods a user can use depending on their registered devices and the organization's rules
+ */
+UserRouter.post("/getAvailableAuthMethods", GetAvailableAuthMethodsValidator(), AuthValidate, async (req, res, next) => {
+  try {
     //decrypt encData to get userId
     await OrganizationDb.validate.validateOrganizationRequest(req);
 
-    const userId = req.body.userId;
-    //find number of mobile and desktop devices
-    const totalDeviceCount = (await DeviceDb.read.getAllDevices(userId)).length;
-    const mobileDeviceCount = (await DeviceDb.read.getAllMobileDevices(userId)).length;
-    const desktopDeviceCount = totalDeviceCount - mobileDeviceCount;
-
-    //if atleast one desktop and mobile device, can use ssid and qr
-    if (desktopDeviceCount > 0 && mobileDeviceCount > 0) {
-      availableMethods.QR = true;
-      availableMethods.SSID = true;
-      //if atleast one mobile, can use qr
-    } else if (mobileDeviceCount > 0) {
-      availableMethods.QR = true;
-    }
+    //the organization's rule overrides apply to its own requests
+    const availableMethods = await AuthMethods.getAvailableAuthMethods(req.body.userId, req.body.organizationId);
 
     return res.status(200).json(availableMethods);
   } catch (error) {
-    console.error(`${error.message}`);
-    if (!error.status) {
-      error.status = 500;
-    }
-    res.status(error.status).json({ error: error.message });
+    next(error);
   }
 });
 
+// ----------------------------------------------Helpers----------------------------------------------------- //
+
+const SESSION_COOKIE_OPTIONS = {
+  httpOnly: true, // This makes the cookie HTTP-only
+  secure: true, // This ensures the cookie is only sent over HTTPS,
+  sameSite: "None"
+};
+
+/**
+ * Store a session's access and refresh tokens in http only cookies that expire with the tokens.
+ */
+function setSessionCookies(res, { accessToken, refreshToken }) {
+  res.cookie("accessToken", accessToken, { ...SESSION_COOKIE_OPTIONS, maxAge: SessionDb.ACCESS_TOKEN_TTL * 1000 });
+  res.cookie("refreshToken", refreshToken, { ...SESSION_COOKIE_OPTIONS, maxAge: SessionDb.REFRESH_TOKEN_TTL * 1000 });
+}
+
+function clearSessionCookies(res) {
+  res.clearCookie("accessToken", SESSION_COOKIE_OPTIONS);
+  res.clearCookie("refreshToken", SESSION_COOKIE_OPTIONS);
+}
+
+/**
+ * The client details recorded with a new session.
+ */
+function sessionClient(req) {
+  return { ip: req.ip, userAgent: req.get("user-agent"), device: req.body.deviceName };
+}
+
+/**
+ * The signed-in user as the actor of an audit event, with the request's IP address and user agent.
+ */
+function auditContext(req) {
+  return { actor: { type: "user", id: req.body.userId }, ip: req.ip, userAgent: req.get("user-agent") };
+}
+
+/**
+ * Record an account event for the signed-in user.
+ */
+function recordAuditEvent(req, type, outcome, details = {}) {
+  return AuditLogDb.create.recordEvent({
+    ...details,
+    ...auditContext(req),
+    type: type,
+    userId: req.body.userId,
+    outcome: outcome
+  });
+}
+
+// errors passed to next() by any route above are sent in the common envelope
+UserRouter.use(ErrorHandler);
+
 module.exports = UserRouter;
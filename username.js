@@ -0,0 +1,88 @@
+const { AppError } = require("./errors.js");
+
+// 3 to 30 characters: lowercase letters, digits, dots, underscores and dashes, starting and ending with a letter or digit
+const USERNAME_PATTERN = /^[a-z0-9](?:[a-z0-9._-]{1,28})[a-z0-9]$/;
+// Consecutive punctuation makes look-alike usernames too easy
+const REPEATED_PUNCTUATION = /[._-]{2,}/;
+
+// Names that could be mistaken for the service or its staff
+const RESERVED_USERNAMES = new Set([
+  "admin",
+  "administrator",
+  "api",
+  "cynorix",
+  "help",
+  "me",
+  "moderator",
+  "null",
+  "owner",
+  "root",
+  "security",
+  "support",
+  "system",
+  "undefined"
+]);
+
+/**
+ * @returns {String}
+ The canonical form of a username used for storage, uniqueness and lookups: Unicode NFKC, trimmed and lowercased.
+ * @param {String} username - The username as entered by the user.
+*/
+function normalizeUsername(username) {
+  return String(username).normalize("NFKC").trim().toLowerCase();
+}
+
+/**
+ * @returns {String|undefined}
+ Why a normalized username cannot be used ("invalid" or "reserved"), or undefined if it follows the rules.
+ * @param {String} username - A username already passed through normalizeUsername.
+*/
+function usernameProblem(username) {
+  if (!USERNAME_PATTERN.test(username) || REPEATED_PUNCTUATION.test(username)) {
+    return "invalid";
+  }
+  if (RESERVED_USERNAMES.has(username.replace(/[._-]/g, ""))) {
+    return "reserved";
+  }
+  return undefined;
+}
+
+/**
+ * @returns {String}
+ Normalizes a username and throws a 400 error if it breaks the character rules or is reserved.
+ * @param {String} username - The username as entered by the user.
+*/
+function validateUsername(username) {
+  const normalized = normalizeUsername(username);
+  switch (usernameProblem(normalized)) {
+    case "invalid":
+      throw AppError("INVALID_USERNAME", { field: "username" });
+    case "reserved":
+      throw AppError("USERNAME_RESERVED", { field: "username" });
+    default:
+      return normalized;
+  }
+}
+
+/**
+ * @returns {String}
+ A username that follows the character rules, derived from an email address, for accounts created without one
+ (e.g. by federated sign-in). It may be reserved or taken; callers add a suffix until it is accepted.
+ * @param {String} email - The user's email address.
+*/
+function usernameFromEmail(email) {
+  const base = normalizeUsername(String(email || "").split("@")[0])
+    .replace(/[^a-z0-9._-]/g, "")
+    .replace(/[._-]{2,}/g, "-")
+    .replace(/^[._-]+|[._-]+$/g, "")
+    .slice(0, 24);
+  return base.length >= 3 ? base : `user${base}`;
+}
+
+module.exports = {
+  RESERVED_USERNAMES,
+  normalizeUsername,
+  usernameProblem,
+  usernameFromEmail,
+  validateUsername
+};
@@ -0,0 +1,233 @@
+const { logger } = require("./logger.js");
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require("@simplewebauthn/server");
+const { getStorage } = require("./storage.js");
+const { AppError } = require("./errors.js");
+
+const storage = getStorage();
+const UsersRef = storage.collection("Users");
+
+// Relying party the credentials are scoped to. The origin is the frontend that runs the ceremonies.
+const RP_ID = process.env.WEBAUTHN_RP_ID || "localhost";
+const RP_NAME = process.env.WEBAUTHN_RP_NAME || "Cynorix";
+const EXPECTED_ORIGIN = process.env.WEBAUTHN_ORIGIN || process.env.REACT_APP_PUBLIC_URL || `https://${RP_ID}`;
+// How long a generated challenge can be answered, in milliseconds
+const CHALLENGE_TTL = 5 * 60 * 1000;
+
+// ----------------------------------------------Helpers----------------------------------------------------- //
+
+function credentialsRef(userId) {
+  return UsersRef.doc(userId).collection("webauthnCredentials");
+}
+
+function toBase64URL(bytes) {
+  return Buffer.from(bytes).toString("base64url");
+}
+
+function fromBase64URL(value) {
+  return Buffer.from(value, "base64url");
+}
+
+/**
+ * @returns {Promise<String>}
+ Returns the outstanding challenge of the given ceremony type and clears it so it cannot be answered twice.
+ Throws a 409 error if there is none or it expired.
+*/
+async function consumeChallenge(userId, type) {
+  const ref = UsersRef.doc(userId);
+  const result = await storage.runTransaction(async (transaction) => {
+    const user = await transaction.get(ref);
+    const challenge = user.exists ? user.get("webauthnChallenge") : undefined;
+    if (!challenge) {
+      return { error: AppError("WEBAUTHN_CHALLENGE_NOT_STARTED") };
+    }
+
+    transaction.update(ref, { webauthnChallenge: storage.deleteField() });
+    if (challenge.type !== type || challenge.expiresAt < Date.now()) {
+      return { error: AppError("WEBAUTHN_CHALLENGE_EXPIRED") };
+    }
+    return { challenge: challenge.challenge };
+  });
+
+  if (result.error) {
+    throw result.error;
+  }
+  return result.challenge;
+}
+
+async function storeChallenge(userId, type, challenge) {
+  await UsersRef.doc(userId).update({
+    webauthnChallenge: { challenge: challenge, type: type, expiresAt: Date.now() + CHALLENGE_TTL }
+  });
+}
+
+// ----------------------------------------------Registration----------------------------------------------------- //
+
+/**
+ * @returns {Promise<Object>}
+ Issues the options for navigator.credentials.create(). Already registered credentials are excluded so the same
+ authenticator is not registered twice. Throws a 401 error if the user cannot be found.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+*/
+async function generateRegistration(userId) {
+  const user = await UsersRef.doc(userId).get();
+  if (!user.exists) {
+    throw AppError("USER_NOT_FOUND");
+  }
+
+  const credentials = await credentialsRef(userId).get();
+  const options = await generateRegistrationOptions({
+    rpName: RP_NAME,
+    rpID: RP_ID,
+    userID: userId,
+    userName: user.get("username") || userId,
+    userDisplayName: user.get("name"),
+    attestationType: "none",
+    excludeCredentials: credentials.docs.map((credential) => ({
+      id: fromBase64URL(credential.id),
+      type: "public-key",
+      transports: credential.get("transports")
+    })),
+    authenticatorSelection: { residentKey: "preferred", userVerification: "preferred" }
+  });
+
+  await storeChallenge(userId, "registration", options.challenge);
+  return options;
+}
+
+/**
+ * @returns {Promise<Object>}
+ Verifies the attestation returned by navigator.credentials.create() and stores the new credential under the user.
+ Throws a 409 error if no registration is in progress and a 400 error if the attestation does not verify.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {Object} response - The RegistrationResponseJSON produced by the browser.
+ * @param {String} name - Optional label chosen by the user, e.g. "YubiKey".
+*/
+async function verifyRegistration(userId, response, name) {
+  const expectedChallenge = await consumeChallenge(userId, "registration");
+
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response: response,
+      expectedChallenge: expectedChallenge,
+      expectedOrigin: EXPECTED_ORIGIN,
+      expectedRPID: RP_ID
+    });
+  } catch (error) {
+    logger.warn("Security key registration could not be verified", { userId: userId, error: error });
+    throw AppError("WEBAUTHN_REGISTRATION_FAILED");
+  }
+  if (!verification.verified) {
+    throw AppError("WEBAUTHN_REGISTRATION_FAILED");
+  }
+
+  const { credentialID, credentialPublicKey, counter, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+  const credentialId = toBase64URL(credentialID);
+
+  const batch = storage.batch();
+  batch.set(credentialsRef(userId).doc(credentialId), {
+    name: name || "Security key",
+    publicKey: toBase64URL(credentialPublicKey),
+    counter: counter,
+    transports: (response.response && response.response.transports) || [],
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp,
+    createdAt: storage.serverTimestamp()
+  });
+  batch.update(UsersRef.doc(userId), { webauthnCredentialCount: storage.increment(1) });
+  await batch.commit();
+
+  return { credentialId };
+}
+
+module.exports.registration = {
+  generateRegistration,
+  verifyRegistration
+};
+
+// ----------------------------------------------Authentication----------------------------------------------------- //
+
+/**
+ * @returns {Promise<Object>}
+ Issues the options for navigator.credentials.get() restricted to the user's credentials.
+ Throws a 409 error if the user has no registered credentials.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+*/
+async function generateAuthentication(userId) {
+  const credentials = await credentialsRef(userId).get();
+  if (credentials.empty) {
+    throw AppError("NO_SECURITY_KEYS");
+  }
+
+  const options = await generateAuthenticationOptions({
+    rpID: RP_ID,
+    userVerification: "preferred",
+    allowCredentials: credentials.docs.map((credential) => ({
+      id: fromBase64URL(credential.id),
+      type: "public-key",
+      transports: credential.get("transports")
+    }))
+  });
+
+  await storeChallenge(userId, "authentication", options.challenge);
+  return options;
+}
+
+/**
+ * @returns {Promise}
+ Verifies the assertion returned by navigator.credentials.get(). The authenticator's signature counter must
+ increase on every use; a counter that does not indicates a cloned authenticator and is rejected.
+ Throws a 409 error if no authentication is in progress and a 401 error if the assertion does not verify.
+ * @param {String} userId - String object of the user_id created using Firebase Authentication.
+ * @param {Object} response - The AuthenticationResponseJSON produced by the browser.
+*/
+async function verifyAuthentication(userId, response) {
+  const expectedChallenge = await consumeChallenge(userId, "authentication");
+
+  const credentialRef = credentialsRef(userId).doc(String(response.id));
+  const credential = await credentialRef.get();
+  if (!credential.exists) {
+    throw AppError("SECURITY_KEY_NOT_REGISTERED");
+  }
+
+  const storedCounter = credential.get("counter") || 0;
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response: response,
+      expectedChallenge: expectedChallenge,
+      expectedOrigin: EXPECTED_ORIGIN,
+      expectedRPID: RP_ID,
+      authenticator: {
+        credentialID: fromBase64URL(credential.id),
+        credentialPublicKey: fromBase64URL(credential.get("publicKey")),
+        counter: storedCounter,
+        transports: credential.get("transports")
+      }
+    });
+  } catch (error) {
+    logger.warn("Security key assertion could not be verified", { userId: userId, error: error });
+    throw AppError("WEBAUTHN_ASSERTION_FAILED");
+  }
+  if (!verification.verified) {
+    throw AppError("WEBAUTHN_ASSERTION_FAILED");
+  }
+
+  // authenticators that do not implement counters always report 0
+  const { newCounter } = verification.authenticationInfo;
+  if ((storedCounter > 0 || newCounter > 0) && newCounter <= storedCounter) {
+    throw AppError("WEBAUTHN_ASSERTION_FAILED", { message: "Security key signature counter did not increase." });
+  }
+
+  await credentialRef.update({ counter: newCounter, lastUsedAt: storage.serverTimestamp() });
+}
+
+module.exports.authentication = {
+  generateAuthentication,
+  verifyAuthentication
+};